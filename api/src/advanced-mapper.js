@@ -3,7 +3,13 @@ const cheerio = require('cheerio');
 const { URL } = require('url');
 const crypto = require('crypto');
 const dns = require('dns').promises;
-const puppeteer = require('puppeteer');
+const zlib = require('zlib');
+const RobotsTxt = require('./robots');
+const { browserPool } = require('./browser-pool');
+const { diffText } = require('./compare-scans');
+
+// Largest sitemap or feed read, before and after gunzip (the sitemap protocol allows 50 MB)
+const MAX_SITEMAP_SIZE = 50 * 1024 * 1024;
 
 class AdvancedWebsiteMapper {
     constructor(options = {}) {
@@ -36,6 +42,7 @@ class AdvancedWebsiteMapper {
         // Discovery sources
         this.sitemapUrls = new Set();
         this.robotsTxtData = null;
+        this.robots = null;
         this.rssFeeds = new Set();
         this.apiEndpoints = new Set();
         this.socialMediaLinks = new Set();
@@ -68,28 +75,25 @@ class AdvancedWebsiteMapper {
                 this.sitemapUrls.add(sitemapUrl);
             }
             
-            // Parse crawl rules
+            // Parse crawl rules, keeping track of which user-agent group each rule belongs to
+            const robots = new RobotsTxt(content);
+            const ownGroups = robots.getGroupsFor(this.options.userAgent);
             const rules = {
                 allowed: [],
                 disallowed: [],
-                crawlDelay: null,
-                userAgents: []
+                crawlDelay: robots.getCrawlDelay(this.options.userAgent),
+                userAgents: robots.groups.flatMap(group => group.userAgents),
+                groups: robots.toJSON().groups
             };
             
-            const lines = content.split('\n');
-            for (const line of lines) {
-                const trimmedLine = line.trim();
-                if (trimmedLine.startsWith('User-agent:')) {
-                    rules.userAgents.push(trimmedLine.replace('User-agent:', '').trim());
-                } else if (trimmedLine.startsWith('Allow:')) {
-                    rules.allowed.push(trimmedLine.replace('Allow:', '').trim());
-                } else if (trimmedLine.startsWith('Disallow:')) {
-                    rules.disallowed.push(trimmedLine.replace('Disallow:', '').trim());
-                } else if (trimmedLine.startsWith('Crawl-delay:')) {
-                    rules.crawlDelay = parseInt(trimmedLine.replace('Crawl-delay:', '').trim());
+            for (const group of ownGroups) {
+                for (const rule of group.rules) {
+                    if (rule.type === 'allow') rules.allowed.push(rule.path);
+                    else rules.disallowed.push(rule.path);
                 }
             }
             
+            this.robots = robots;
             this.robotsTxtData = rules;
             
             // Try to discover default sitemap locations if none found
@@ -136,27 +140,39 @@ class AdvancedWebsiteMapper {
         }
     }
     
-    async discoverFromSitemap(sitemapUrl) {
+    // Returns every URL listed in a sitemap, including those of nested sitemap indexes
+    async discoverFromSitemap(sitemapUrl, seen = new Set()) {
+        // Guard against index loops and runaway index trees
+        if (seen.has(sitemapUrl) || seen.size >= 100) return [];
+        seen.add(sitemapUrl);
+        
         try {
-            const response = await axios.get(sitemapUrl, { timeout: 10000 });
-            const $ = cheerio.load(response.data, { xmlMode: true });
+            // Oversized or over-compressed sitemaps throw and are skipped
+            const response = await axios.get(sitemapUrl, {
+                timeout: 10000,
+                responseType: 'arraybuffer',
+                maxContentLength: MAX_SITEMAP_SIZE,
+                headers: { 'User-Agent': this.options.userAgent }
+            });
+            let body = Buffer.from(response.data);
+            // Gzipped sitemaps (sitemap.xml.gz) are served without Content-Encoding
+            if (body[0] === 0x1f && body[1] === 0x8b) {
+                body = zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_SIZE });
+            }
+            const $ = cheerio.load(body.toString('utf8'), { xmlMode: true });
+            const urlsWithMetadata = [];
             
             // Handle sitemap index files
-            const sitemapIndexUrls = $('sitemap loc').map((i, el) => $(el).text()).get();
-            if (sitemapIndexUrls.length > 0) {
-                for (const indexUrl of sitemapIndexUrls) {
-                    await this.discoverFromSitemap(indexUrl);
-                }
+            const sitemapIndexUrls = $('sitemap loc').map((i, el) => $(el).text().trim()).get();
+            for (const indexUrl of sitemapIndexUrls) {
+                urlsWithMetadata.push(...await this.discoverFromSitemap(indexUrl, seen));
             }
             
             // Extract URLs from sitemap
-            const urls = $('url loc').map((i, el) => $(el).text()).get();
-            const urlsWithMetadata = [];
-            
             $('url').each((i, el) => {
-                const url = $(el).find('loc').text();
-                const lastmod = $(el).find('lastmod').text();
-                const changefreq = $(el).find('changefreq').text();
+                const url = $(el).find('loc').text().trim();
+                const lastmod = $(el).find('lastmod').text().trim();
+                const changefreq = $(el).find('changefreq').text().trim();
                 const priority = $(el).find('priority').text();
                 
                 if (url) {
@@ -177,6 +193,51 @@ class AdvancedWebsiteMapper {
         }
     }
     
+    // Returns the entries of an RSS or Atom feed as { url, title, lastmod }
+    async discoverFromFeed(feedUrl) {
+        try {
+            const response = await axios.get(feedUrl, {
+                timeout: 10000,
+                maxContentLength: MAX_SITEMAP_SIZE,
+                headers: { 'User-Agent': this.options.userAgent }
+            });
+            const $ = cheerio.load(response.data, { xmlMode: true });
+            const entries = [];
+            
+            // RSS items
+            $('item').each((i, el) => {
+                const url = $(el).children('link').text().trim();
+                if (url) {
+                    entries.push({
+                        url,
+                        title: $(el).children('title').text().trim(),
+                        lastmod: $(el).children('pubDate').text().trim()
+                    });
+                }
+            });
+            
+            // Atom entries
+            $('entry').each((i, el) => {
+                const links = $(el).children('link');
+                const alternate = links.filter((j, link) => !$(link).attr('rel') || $(link).attr('rel') === 'alternate');
+                const url = (alternate.first().attr('href') || links.first().attr('href') || '').trim();
+                if (url) {
+                    entries.push({
+                        url: new URL(url, feedUrl).href,
+                        title: $(el).children('title').text().trim(),
+                        lastmod: $(el).children('updated').text().trim() || $(el).children('published').text().trim()
+                    });
+                }
+            });
+            
+            entries.forEach(entry => this.discoveredUrls.add(entry.url));
+            return entries;
+        } catch (error) {
+            console.log('Error parsing feed:', error.message);
+            return [];
+        }
+    }
+    
     async discoverFromRSSFeeds(pageUrl, html) {
         const $ = cheerio.load(html);
         const feeds = [];
@@ -208,62 +269,56 @@ class AdvancedWebsiteMapper {
     }
     
     async discoverWithJavaScript(url) {
-        let browser;
         try {
-            browser = await puppeteer.launch({ 
-                headless: 'new',
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-            const page = await browser.newPage();
-            await page.setUserAgent(this.options.userAgent);
-            
-            // Intercept and collect API requests
-            const apiCalls = [];
-            page.on('request', request => {
-                const url = request.url();
-                if (url.includes('/api/') || url.includes('.json')) {
-                    apiCalls.push({
-                        url,
-                        method: request.method(),
-                        resourceType: request.resourceType()
-                    });
-                    this.apiEndpoints.add(url);
-                }
-            });
-            
-            await page.goto(url, { waitUntil: 'networkidle2', timeout: this.options.timeout });
-            
-            // Extract dynamically generated links
-            const links = await page.evaluate(() => {
-                const anchors = document.querySelectorAll('a[href]');
-                return Array.from(anchors).map(a => a.href);
-            });
-            
-            // Extract structured data
-            const structuredData = await page.evaluate(() => {
-                const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-                return Array.from(scripts).map(s => {
-                    try {
-                        return JSON.parse(s.textContent);
-                    } catch {
-                        return null;
+            // Images stay enabled so the screenshot shows the rendered page
+            return await browserPool.withPage(async (page) => {
+                await page.setUserAgent(this.options.userAgent);
+                
+                // Intercept and collect API requests
+                const apiCalls = [];
+                page.on('request', request => {
+                    const url = request.url();
+                    if (url.includes('/api/') || url.includes('.json')) {
+                        apiCalls.push({
+                            url,
+                            method: request.method(),
+                            resourceType: request.resourceType()
+                        });
+                        this.apiEndpoints.add(url);
                     }
-                }).filter(Boolean);
-            });
-            
-            // Take screenshot
-            const screenshot = await page.screenshot({ encoding: 'base64', type: 'jpeg', quality: 50 });
-            
-            await browser.close();
-            
-            return {
-                links,
-                apiCalls,
-                structuredData,
-                screenshot
-            };
+                });
+                
+                await page.goto(url, { waitUntil: 'networkidle2', timeout: this.options.timeout });
+                
+                // Extract dynamically generated links
+                const links = await page.evaluate(() => {
+                    const anchors = document.querySelectorAll('a[href]');
+                    return Array.from(anchors).map(a => a.href);
+                });
+                
+                // Extract structured data
+                const structuredData = await page.evaluate(() => {
+                    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+                    return Array.from(scripts).map(s => {
+                        try {
+                            return JSON.parse(s.textContent);
+                        } catch {
+                            return null;
+                        }
+                    }).filter(Boolean);
+                });
+                
+                // Take screenshot
+                const screenshot = await page.screenshot({ encoding: 'base64', type: 'jpeg', quality: 50 });
+                
+                return {
+                    links,
+                    apiCalls,
+                    structuredData,
+                    screenshot
+                };
+            }, { blockedResourceTypes: ['font', 'media'] });
         } catch (error) {
-            if (browser) await browser.close();
             console.log('JavaScript rendering error:', error.message);
             return null;
         }
@@ -755,16 +810,17 @@ class AdvancedWebsiteMapper {
         const changed = similarity < 0.95;
         
         if (changed) {
-            // Simple diff - count changed lines
-            const lines1 = previousContent.split('\n');
-            const lines2 = currentContent.split('\n');
+            // Line diff; a replaced line shows up as one removal plus one addition
+            const diff = diffText(previousContent, currentContent);
+            const added = diff.filter(hunk => hunk.type === 'added').length;
+            const removed = diff.filter(hunk => hunk.type === 'removed').length;
             const changes = {
-                added: Math.max(0, lines2.length - lines1.length),
-                removed: Math.max(0, lines1.length - lines2.length),
-                modified: Math.abs(lines1.length - lines2.length)
+                added,
+                removed,
+                modified: Math.min(added, removed)
             };
             
-            return { changed, similarity, changes };
+            return { changed, similarity, changes, diff };
         }
         
         return { changed, similarity };
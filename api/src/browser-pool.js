@@ -0,0 +1,126 @@
+// Shared headless browser for pages that need JavaScript rendering
+//
+// One browser is launched lazily and reused by every scan; the number of open tabs is capped
+// and the browser closes itself after sitting idle.
+
+const puppeteer = require('puppeteer');
+
+const DEFAULT_BLOCKED_RESOURCES = ['image', 'font', 'media'];
+
+class BrowserPool {
+  constructor(options = {}) {
+    this.maxPages = Math.max(1, options.maxPages || 4);
+    this.idleTimeout = options.idleTimeout || 60000;
+    this.launchOptions = {
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+      ...options.launchOptions
+    };
+    this.browser = null;
+    this.launching = null;
+    this.activePages = 0;
+    this.waiters = [];
+    this.idleTimer = null;
+  }
+
+  async getBrowser() {
+    if (this.browser && this.browser.connected) return this.browser;
+
+    if (!this.launching) {
+      this.launching = puppeteer.launch(this.launchOptions)
+        .then(browser => {
+          this.browser = browser;
+          // A crashed browser is relaunched on the next request
+          browser.on('disconnected', () => {
+            if (this.browser === browser) this.browser = null;
+          });
+          return browser;
+        })
+        .catch(error => {
+          const launchError = new Error(`Could not launch browser: ${error.message}`);
+          launchError.code = 'BROWSER_LAUNCH_FAILED';
+          throw launchError;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+    return this.launching;
+  }
+
+  async acquire() {
+    clearTimeout(this.idleTimer);
+    if (this.activePages < this.maxPages) {
+      this.activePages++;
+      return;
+    }
+    // The slot is handed over directly by release()
+    await new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  release() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    this.activePages--;
+    if (this.activePages === 0) {
+      this.idleTimer = setTimeout(() => this.close(), this.idleTimeout);
+      this.idleTimer.unref();
+    }
+  }
+
+  // Runs `fn(page)` in a fresh tab and closes the tab afterwards.
+  // Requests for `blockedResourceTypes` (images, fonts and media by default) are aborted.
+  async withPage(fn, options = {}) {
+    const blocked = options.blockedResourceTypes || DEFAULT_BLOCKED_RESOURCES;
+
+    await this.acquire();
+    let page;
+    try {
+      const browser = await this.getBrowser();
+      page = await browser.newPage();
+
+      if (blocked.length > 0) {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+          if (request.isInterceptResolutionHandled()) return;
+          if (blocked.includes(request.resourceType())) {
+            request.abort();
+          } else {
+            request.continue();
+          }
+        });
+      }
+
+      return await fn(page);
+    } finally {
+      if (page && !page.isClosed()) {
+        await page.close().catch(() => {});
+      }
+      this.release();
+    }
+  }
+
+  async close() {
+    clearTimeout(this.idleTimer);
+    const browser = this.browser || (this.launching && await this.launching.catch(() => null));
+    this.browser = null;
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+// Pool shared by the scanner and the advanced mapper
+const browserPool = new BrowserPool({
+  maxPages: parseInt(process.env.BROWSER_POOL_SIZE) || 4,
+  idleTimeout: parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS) || 60000
+});
+
+module.exports = {
+  BrowserPool,
+  browserPool
+};
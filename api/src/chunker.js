@@ -0,0 +1,202 @@
+// Heading-aware, token-budgeted chunking of page content for RAG exports
+
+const { markdownSections } = require('./markdown');
+
+const CHUNK_STRATEGIES = ['heading', 'fixed', 'paragraph'];
+
+// Chunks are cut from the page's markdown, or from its plain text
+const TEXT_FORMATS = ['markdown', 'text'];
+
+const DEFAULT_CHUNKING = {
+  strategy: 'heading',
+  chunkSize: 512,
+  chunkOverlap: 64,
+  textFormat: 'markdown'
+};
+
+const BREADCRUMB_SEPARATOR = ' › ';
+
+// Rough token count (about four characters per token for English text)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function normalizeChunkingOptions(options = {}) {
+  const chunkSize = Math.max(32, options.chunkSize || DEFAULT_CHUNKING.chunkSize);
+  const overlap = options.chunkOverlap !== undefined ? options.chunkOverlap : DEFAULT_CHUNKING.chunkOverlap;
+  return {
+    strategy: CHUNK_STRATEGIES.includes(options.strategy) ? options.strategy : DEFAULT_CHUNKING.strategy,
+    chunkSize,
+    // Overlap can never use up the whole chunk
+    chunkOverlap: Math.max(0, Math.min(overlap, Math.floor(chunkSize / 2))),
+    textFormat: TEXT_FORMATS.includes(options.textFormat) ? options.textFormat : DEFAULT_CHUNKING.textFormat
+  };
+}
+
+// Sections of a page, from its markdown or its text blocks. Pages stored before markdown
+// existed use their text blocks, and ones stored before sections existed their paragraphs.
+function getSections(page, textFormat = DEFAULT_CHUNKING.textFormat) {
+  const content = page.content || {};
+  if (textFormat === 'markdown' && content.markdown) {
+    return markdownSections(content.markdown);
+  }
+  if (Array.isArray(content.sections) && content.sections.length > 0) {
+    return content.sections;
+  }
+  if (Array.isArray(content.paragraphs) && content.paragraphs.length > 0) {
+    return [{ heading: null, level: 0, path: [], paragraphs: content.paragraphs }];
+  }
+  return content.text ? [{ heading: null, level: 0, path: [], paragraphs: [content.text] }] : [];
+}
+
+// Splits text larger than the budget into sentences, cutting oversized sentences on word boundaries.
+// Multi-line markdown (lists, tables, code) is cut between lines first.
+function splitToBudget(text, budget) {
+  if (estimateTokens(text) <= budget) return [text];
+  if (text.includes('\n')) {
+    return text.split('\n').filter(line => line.trim()).flatMap(line => splitToBudget(line, budget));
+  }
+
+  const sentences = (text.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [text])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+  const pieces = [];
+
+  for (const sentence of sentences) {
+    if (estimateTokens(sentence) <= budget) {
+      pieces.push(sentence);
+      continue;
+    }
+
+    let window = [];
+    for (const word of sentence.split(/\s+/)) {
+      if (window.length > 0 && estimateTokens(window.concat(word).join(' ')) > budget) {
+        pieces.push(window.join(' '));
+        window = [];
+      }
+      window.push(word);
+    }
+    if (window.length > 0) pieces.push(window.join(' '));
+  }
+
+  return pieces;
+}
+
+// Pieces of the same unit are rejoined with a space (or a line break, for multi-line units),
+// separate units with a blank line
+function joinPieces(pieces) {
+  return pieces.reduce((text, piece, i) => {
+    if (i === 0) return piece.text;
+    if (piece.unit !== pieces[i - 1].unit) return `${text}\n\n${piece.text}`;
+    return text + (piece.multiline ? '\n' : ' ') + piece.text;
+  }, '');
+}
+
+// Packs text units into chunks of at most `budget` tokens, repeating up to `overlap`
+// tokens from the end of each chunk at the start of the next one
+function packUnits(units, budget, overlap) {
+  const pieces = units.flatMap((unit, index) => (
+    splitToBudget(unit, budget).map(text => ({ text, unit: index, multiline: unit.includes('\n'), tokens: estimateTokens(text) + 1 }))
+  ));
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let freshPieces = 0;
+
+  for (const piece of pieces) {
+    if (current.length > 0 && currentTokens + piece.tokens > budget) {
+      chunks.push(joinPieces(current));
+
+      // Carry trailing pieces over as overlap
+      const carried = [];
+      let carriedTokens = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const tokens = current[i].tokens;
+        if (carriedTokens + tokens > overlap || carriedTokens + tokens + piece.tokens > budget) break;
+        carried.unshift(current[i]);
+        carriedTokens += tokens;
+      }
+      current = carried;
+      currentTokens = carriedTokens;
+      freshPieces = 0;
+    }
+
+    current.push(piece);
+    currentTokens += piece.tokens;
+    freshPieces++;
+  }
+
+  // A trailing chunk made only of overlap would just repeat text
+  if (current.length > 0 && freshPieces > 0) {
+    chunks.push(joinPieces(current));
+  }
+
+  return chunks;
+}
+
+function buildBreadcrumb(title, path) {
+  const breadcrumb = title ? [title] : [];
+  for (const heading of path) {
+    // The page's H1 often repeats its title
+    if (breadcrumb.length > 0 && breadcrumb[breadcrumb.length - 1].toLowerCase() === heading.toLowerCase()) continue;
+    breadcrumb.push(heading);
+  }
+  return breadcrumb;
+}
+
+function makeChunk(body, breadcrumb, headingPath) {
+  const prefix = breadcrumb.join(BREADCRUMB_SEPARATOR);
+  const text = prefix ? `${prefix}\n\n${body}` : body;
+  return {
+    text,
+    breadcrumb,
+    headingPath,
+    tokens: estimateTokens(text)
+  };
+}
+
+// Returns [{ text, breadcrumb, headingPath, tokens, index }] for a page's body content
+function chunkPage(page, options = {}) {
+  const { strategy, chunkSize, chunkOverlap, textFormat } = normalizeChunkingOptions(options);
+  const sections = getSections(page, textFormat);
+  const title = page.title || '';
+  let chunks = [];
+
+  if (strategy === 'paragraph') {
+    // One chunk per substantial paragraph, without packing or breadcrumbs
+    const paragraphs = (textFormat === 'text' && page.content?.paragraphs) || sections.flatMap(section => section.paragraphs);
+    chunks = paragraphs
+      .filter(paragraph => paragraph.length > 100)
+      .map(paragraph => ({ text: paragraph, breadcrumb: [], headingPath: [], tokens: estimateTokens(paragraph) }));
+  } else if (strategy === 'fixed') {
+    // Ignore the heading structure and pack the whole page
+    const breadcrumb = buildBreadcrumb(title, []);
+    const budget = Math.max(16, chunkSize - estimateTokens(breadcrumb.join(BREADCRUMB_SEPARATOR)) - 1);
+    const units = sections.flatMap(section => {
+      const repeatsTitle = section.heading && section.heading.toLowerCase() === title.toLowerCase();
+      const heading = textFormat === 'markdown' ? `${'#'.repeat(section.level)} ${section.heading}` : section.heading;
+      return (section.heading && !repeatsTitle ? [heading] : []).concat(section.paragraphs);
+    });
+    chunks = packUnits(units, budget, chunkOverlap).map(body => makeChunk(body, breadcrumb, []));
+  } else {
+    for (const section of sections) {
+      const breadcrumb = buildBreadcrumb(title, section.path);
+      const budget = Math.max(16, chunkSize - estimateTokens(breadcrumb.join(BREADCRUMB_SEPARATOR)) - 1);
+      for (const body of packUnits(section.paragraphs, budget, chunkOverlap)) {
+        chunks.push(makeChunk(body, breadcrumb, section.path));
+      }
+    }
+  }
+
+  return chunks.map((chunk, index) => ({ ...chunk, index }));
+}
+
+module.exports = {
+  CHUNK_STRATEGIES,
+  TEXT_FORMATS,
+  DEFAULT_CHUNKING,
+  chunkPage,
+  getSections,
+  estimateTokens,
+  normalizeChunkingOptions
+};
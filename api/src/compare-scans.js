@@ -0,0 +1,160 @@
+// Structural comparison of two scans of the same site
+
+// Above this many paragraph comparisons the diff falls back to set differences
+const MAX_LCS_CELLS = 1000000;
+
+// Diffs two lists of text blocks. Returns the added and removed blocks in document order:
+// [{ type: 'added' | 'removed', text }]
+function diffBlocks(before, after) {
+  const n = before.length;
+  const m = after.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    return [
+      ...before.filter(text => !afterSet.has(text)).map(text => ({ type: 'removed', text })),
+      ...after.filter(text => !beforeSet.has(text)).map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      hunks.push({ type: 'removed', text: before[i++] });
+    } else {
+      hunks.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < n) hunks.push({ type: 'removed', text: before[i++] });
+  while (j < m) hunks.push({ type: 'added', text: after[j++] });
+  return hunks;
+}
+
+// Splits free text into comparable lines
+function diffText(before, after) {
+  const lines = text => (text || '').split(/\n+/).map(line => line.trim()).filter(Boolean);
+  return diffBlocks(lines(before), lines(after));
+}
+
+// Text blocks of a page: its headings and blocks, the paragraphs of pages stored before
+// sections existed, or the sentences of a page with no block structure
+function pageBlocks(page) {
+  const { sections, paragraphs, text } = page.content || {};
+  if (Array.isArray(sections) && sections.length > 0) {
+    return sections.flatMap(section => (section.heading ? [section.heading] : []).concat(section.paragraphs));
+  }
+  if (Array.isArray(paragraphs) && paragraphs.length > 0) return paragraphs;
+  return (text || '').split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+function diffQAItems(before = [], after = []) {
+  const key = item => item.question.trim().toLowerCase();
+  const beforeMap = new Map(before.map(item => [key(item), item]));
+  const afterMap = new Map(after.map(item => [key(item), item]));
+
+  const added = after.filter(item => !beforeMap.has(key(item))).map(item => item.question);
+  const removed = before.filter(item => !afterMap.has(key(item))).map(item => item.question);
+  const changed = after
+    .filter(item => beforeMap.has(key(item)) && beforeMap.get(key(item)).answer !== item.answer)
+    .map(item => ({
+      question: item.question,
+      before: beforeMap.get(key(item)).answer,
+      after: item.answer
+    }));
+
+  return added.length || removed.length || changed.length ? { added, removed, changed } : null;
+}
+
+// Field-level changes of one page, or null when nothing exported from it changed
+function diffPage(before, after) {
+  const changes = {};
+
+  if (before.title !== after.title) {
+    changes.title = { before: before.title, after: after.title };
+  }
+  if (before.pageType !== after.pageType) {
+    changes.pageType = { before: before.pageType, after: after.pageType };
+  }
+  // Whether the text changed is decided on the same blocks the diff is made of
+  const beforeBlocks = pageBlocks(before);
+  const afterBlocks = pageBlocks(after);
+  const sameBlocks = beforeBlocks.length === afterBlocks.length &&
+    beforeBlocks.every((block, i) => block === afterBlocks[i]);
+  if (!sameBlocks) {
+    changes.text = diffBlocks(beforeBlocks, afterBlocks);
+  }
+  const qaItems = diffQAItems(before.qaItems, after.qaItems);
+  if (qaItems) {
+    changes.qaItems = qaItems;
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Compares `base` (the older scan) with `other`. Added and removed are relative to `base`.
+function diffScans(base, other) {
+  const basePages = new Map((base.pages || []).map(page => [page.url, page]));
+  const otherPages = new Map((other.pages || []).map(page => [page.url, page]));
+
+  const added = [...otherPages.keys()].filter(url => !basePages.has(url));
+  const removed = [...basePages.keys()].filter(url => !otherPages.has(url));
+  const changed = [];
+  const qualityChanges = [];
+  let unchanged = 0;
+
+  for (const [url, after] of otherPages) {
+    const before = basePages.get(url);
+    if (!before) continue;
+
+    const delta = (after.qualityScore || 0) - (before.qualityScore || 0);
+    if (delta !== 0) {
+      qualityChanges.push({ url, before: before.qualityScore, after: after.qualityScore, delta });
+    }
+
+    const changes = diffPage(before, after);
+    if (changes) {
+      changed.push({ url, changes, qualityDelta: delta });
+    } else {
+      unchanged++;
+    }
+  }
+
+  qualityChanges.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  return {
+    scanId: base.scanId,
+    otherScanId: other.scanId,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged
+    },
+    added,
+    removed,
+    changed,
+    qualityChanges
+  };
+}
+
+module.exports = {
+  diffScans,
+  diffPage,
+  diffText
+};
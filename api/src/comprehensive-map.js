@@ -216,7 +216,7 @@ router.post('/generate-comprehensive-map', async (req, res) => {
 router.get('/scan/:scanId/comprehensive-map', async (req, res) => {
   try {
     const { scanId } = req.params;
-    const scan = scanResults.get(scanId);
+    const scan = await scanResults.get(scanId);
     
     if (!scan) {
       return res.status(404).json({ error: 'Scan not found' });
@@ -0,0 +1,232 @@
+// Main content detection and boilerplate removal
+//
+// Within a page, non-content elements are removed and the main content is found by trying a
+// chain of strategies in turn. Across a scan, text blocks repeated on most pages (footers,
+// newsletter forms, cookie notices inside the content area) are removed afterwards.
+
+const crypto = require('crypto');
+const { stripMarkdownBlocks } = require('./markdown');
+
+// Removed before the main content is detected
+const NON_CONTENT_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'nav', 'footer', 'header',
+  '.navigation', '.menu', '.sidebar', '.advertisement'
+].join(', ');
+
+// Cookie banners, newsletter and share widgets, related-post lists
+const BOILERPLATE_SELECTOR = [
+  '[id*="cookie" i]', '[class*="cookie" i]', '[class*="consent" i]', '#onetrust-consent-sdk', '#CybotCookiebotDialog',
+  '[class*="newsletter" i]', '[id*="newsletter" i]', '[class*="subscribe" i]',
+  '[class~="share" i]', '[class*="share-" i]', '[class*="sharing" i]', '[class*="social" i]',
+  '[class~="related" i]', '[class*="related-" i]', '[class*="-related" i]', '[id*="related" i]', '[class*="recommended" i]',
+  '[class*="breadcrumb" i]', '[class*="skip-link" i]', '[role="dialog"]', '[role="alertdialog"]'
+].join(', ');
+
+// Elements that are never removed as boilerplate, even if a class name matches
+const PROTECTED_SELECTOR = 'html, body, main, article, [role="main"]';
+
+const SEMANTIC_SELECTORS = ['main', 'article', '[role="main"]', '.content', '#content', '.main-content'];
+
+const CONTENT_STRATEGIES = ['semantic', 'density', 'body'];
+const DEFAULT_CONTENT_DETECTION = ['semantic', 'density', 'body'];
+
+// A semantic container with less text than this is an empty wrapper
+const MIN_SEMANTIC_TEXT = 200;
+const MIN_BLOCK_TEXT = 25;
+const MIN_DENSITY_SCORE = 10;
+
+// Cross-page boilerplate
+const DEFAULT_BOILERPLATE_THRESHOLD = 0.6;
+const MIN_BOILERPLATE_PAGES = 5;
+const MIN_BOILERPLATE_TEXT = 20;
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Share of an element's text that is link text
+function linkDensity($, element) {
+  const textLength = cleanText(element.text()).length;
+  if (textLength === 0) return 1;
+  let linkLength = 0;
+  element.find('a').each((i, link) => {
+    linkLength += cleanText($(link).text()).length;
+  });
+  return Math.min(1, linkLength / textLength);
+}
+
+function removeBoilerplateElements($) {
+  $(NON_CONTENT_SELECTOR).remove();
+  $(BOILERPLATE_SELECTOR)
+    .not(PROTECTED_SELECTOR)
+    .filter((i, elem) => $(elem).find('main, article, [role="main"], h1').length === 0)
+    .remove();
+}
+
+// --- Strategies ---
+
+// The first semantic container with enough text that isn't mostly links
+function bySemanticMarkup($) {
+  for (const selector of SEMANTIC_SELECTORS) {
+    const match = $(selector);
+    if (match.length === 0) continue;
+    const textLength = cleanText(match.text()).length;
+    if (textLength >= MIN_SEMANTIC_TEXT && linkDensity($, match) < 0.5) return match;
+  }
+  return null;
+}
+
+// Readability-style scoring: each text block scores its parent and, by half, its grandparent;
+// candidates are discounted by their link density. When other children of the best candidate's
+// parent score well too, the content is spread over siblings and the parent is taken.
+function byTextDensity($, root) {
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (!element || element.type !== 'tag') return;
+    scores.set(element, (scores.get(element) || 0) + score);
+  };
+
+  root.find('p, pre, td, blockquote, li').each((i, block) => {
+    const text = cleanText($(block).text());
+    if (text.length < MIN_BLOCK_TEXT) return;
+
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+    addScore(block.parent, score);
+    addScore(block.parent && block.parent.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  const finalScores = new Map();
+  for (const [element, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, $(element)));
+    finalScores.set(element, finalScore);
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  }
+  if (!best || bestScore < MIN_DENSITY_SCORE) return null;
+
+  const parent = best.parent;
+  if (parent && parent.type === 'tag' && parent.name !== 'body') {
+    const strongSiblings = $(parent).children().filter((i, child) => (
+      child !== best && (finalScores.get(child) || 0) >= Math.max(MIN_DENSITY_SCORE, bestScore * 0.2)
+    ));
+    if (strongSiblings.length > 0) return $(parent);
+  }
+  return $(best);
+}
+
+function bySelector($, selector) {
+  try {
+    const match = $(selector);
+    return match.length > 0 && cleanText(match.text()) ? match : null;
+  } catch {
+    // Not a valid selector
+    return null;
+  }
+}
+
+// Runs `chain` (strategy names or CSS selectors) until one finds the main content.
+// Returns { element, strategy }; the body is the last resort.
+function detectMainContent($, chain = DEFAULT_CONTENT_DETECTION) {
+  for (const step of chain) {
+    let element = null;
+    if (step === 'semantic') element = bySemanticMarkup($);
+    else if (step === 'density') element = byTextDensity($, $('body'));
+    else if (step === 'body') element = $('body').length > 0 ? $('body') : null;
+    else element = bySelector($, step);
+
+    if (element) return { element, strategy: step };
+  }
+  return { element: $('body').length > 0 ? $('body') : $.root(), strategy: 'body' };
+}
+
+// --- Cross-page boilerplate ---
+
+function blockKey(text) {
+  return crypto.createHash('sha1').update(cleanText(text).toLowerCase()).digest('hex').substring(0, 16);
+}
+
+// Text blocks of a page's sections, by key
+function pageBlocks(page) {
+  const blocks = new Map();
+  for (const section of page.content?.sections || []) {
+    for (const paragraph of section.paragraphs) {
+      if (cleanText(paragraph).length >= MIN_BOILERPLATE_TEXT) {
+        blocks.set(blockKey(paragraph), cleanText(paragraph));
+      }
+    }
+  }
+  return blocks;
+}
+
+// Blocks found on more than `threshold` of the pages: [{ key, text, pages }]. Scans with
+// fewer than MIN_BOILERPLATE_PAGES pages are too small to tell.
+function findRepeatedBlocks(pages, threshold = DEFAULT_BOILERPLATE_THRESHOLD) {
+  if (pages.length < MIN_BOILERPLATE_PAGES || threshold >= 1) return [];
+
+  const counts = new Map();
+  for (const page of pages) {
+    for (const [key, text] of pageBlocks(page)) {
+      const entry = counts.get(key) || { key, text, pages: 0 };
+      entry.pages++;
+      counts.set(key, entry);
+    }
+  }
+
+  return [...counts.values()]
+    .filter(entry => entry.pages / pages.length > threshold)
+    .sort((a, b) => b.pages - a.pages)
+    .map(entry => ({ ...entry, text: entry.text.substring(0, 200) }));
+}
+
+// Copy of `page` without the blocks whose keys are in `keys`; the page is returned as is
+// when it has none of them
+function stripBlocks(page, keys) {
+  if (!page.content || !Array.isArray(page.content.sections) || keys.size === 0) return page;
+
+  let removed = 0;
+  const sections = page.content.sections
+    .map(section => ({
+      ...section,
+      paragraphs: section.paragraphs.filter(paragraph => {
+        const repeated = keys.has(blockKey(paragraph));
+        if (repeated) removed++;
+        return !repeated;
+      })
+    }))
+    .filter(section => section.paragraphs.length > 0);
+  if (removed === 0) return page;
+
+  // The text is rebuilt from what is left, as a repeated block can also occur inside a
+  // longer unique one
+  const text = cleanText(sections
+    .flatMap(section => (section.heading ? [section.heading] : []).concat(section.paragraphs))
+    .join(' '));
+
+  return {
+    ...page,
+    content: {
+      ...page.content,
+      text,
+      paragraphs: (page.content.paragraphs || []).filter(paragraph => !keys.has(blockKey(paragraph))),
+      sections,
+      ...(typeof page.content.markdown === 'string' && {
+        markdown: stripMarkdownBlocks(page.content.markdown, blockText => keys.has(blockKey(blockText)))
+      })
+    },
+    wordCount: text.split(/\s+/).filter(word => word.length > 0).length
+  };
+}
+
+module.exports = {
+  CONTENT_STRATEGIES,
+  DEFAULT_CONTENT_DETECTION,
+  DEFAULT_BOILERPLATE_THRESHOLD,
+  removeBoilerplateElements,
+  detectMainContent,
+  findRepeatedBlocks,
+  stripBlocks
+};
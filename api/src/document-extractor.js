@@ -0,0 +1,384 @@
+// Text extraction for linked PDF and Office documents
+//
+// Each document is converted to simple HTML (title, headings, paragraphs and tables) so it
+// goes through the same parsing, scoring and export path as a crawled web page.
+
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const { URL } = require('url');
+
+const DOCUMENT_TYPES = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.xlsx': 'xlsx',
+  '.pptx': 'pptx'
+};
+
+const MAX_PDF_PAGES = 300;
+const MAX_SHEET_ROWS = 500;
+const MAX_SHEET_COLUMNS = 50;
+// Office files are zip archives, and a small download can inflate to gigabytes
+const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024;
+
+// Document type for a URL based on its file extension, or null
+function getDocumentType(url) {
+  try {
+    const pathname = new URL(url).pathname.toLowerCase();
+    const extension = pathname.slice(pathname.lastIndexOf('.'));
+    return DOCUMENT_TYPES[extension] || null;
+  } catch {
+    return null;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildHtml(title, body) {
+  return `<!DOCTYPE html><html><head><title>${escapeHtml(title)}</title></head><body><main>${body}</main></body></html>`;
+}
+
+function fileTitle(url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    return name.replace(/\.[a-z]+$/i, '').replace(/[-_]+/g, ' ').trim() || 'Untitled document';
+  } catch {
+    return 'Untitled document';
+  }
+}
+
+function tableHtml(rows) {
+  if (rows.length === 0) return '';
+  const [header, ...body] = rows;
+  const cells = (row, tag) => row.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('');
+  return `<table><tr>${cells(header, 'th')}</tr>${body.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</table>`;
+}
+
+// --- PDF ---
+
+// Groups positioned text items into lines with their font size
+function groupLines(items) {
+  const lines = [];
+  let current = null;
+
+  for (const item of items) {
+    const size = item.height || Math.hypot(item.transform[2], item.transform[3]) || 0;
+    const y = item.transform[5];
+    if (current && Math.abs(current.y - y) <= Math.max(1, size * 0.3)) {
+      current.text += item.str;
+      current.size = Math.max(current.size, size);
+    } else {
+      current = { text: item.str, size, y };
+      lines.push(current);
+    }
+  }
+
+  return lines
+    .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+    .filter(line => line.text);
+}
+
+// Body font size: the size used by the most characters
+function bodyFontSize(lines) {
+  const counts = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.size);
+    counts.set(size, (counts.get(size) || 0) + line.text.length);
+  }
+  let best = 0;
+  let bestCount = -1;
+  for (const [size, count] of counts) {
+    if (count > bestCount) {
+      best = size;
+      bestCount = count;
+    }
+  }
+  return best || 12;
+}
+
+// PDFs have no markup, so headings are lines set noticeably larger than the body text
+// and paragraphs are separated by vertical gaps
+function pdfPagesToHtml(pages) {
+  const bodySize = bodyFontSize(pages.flat());
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${escapeHtml(paragraph.join(' ').replace(/- (?=[a-z])/g, ''))}</p>`);
+      paragraph = [];
+    }
+  };
+
+  for (const lines of pages) {
+    let previous = null;
+    for (const line of lines) {
+      const ratio = line.size / bodySize;
+      if (ratio >= 1.2 && line.text.length <= 150 && /[a-z]/i.test(line.text)) {
+        flush();
+        const tag = ratio >= 1.5 ? 'h2' : 'h3';
+        blocks.push(`<${tag}>${escapeHtml(line.text)}</${tag}>`);
+        previous = null;
+        continue;
+      }
+
+      if (previous && Math.abs(previous.y - line.y) > line.size * 1.8) flush();
+      paragraph.push(line.text);
+      previous = line;
+    }
+    flush();
+  }
+
+  return blocks.join('\n');
+}
+
+async function extractPdf(buffer, url) {
+  const pages = [];
+  const data = await pdfParse(buffer, {
+    max: MAX_PDF_PAGES,
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: true });
+      pages.push(groupLines(content.items));
+      return '';
+    }
+  });
+
+  const body = pdfPagesToHtml(pages);
+  const infoTitle = (data.info && data.info.Title || '').trim();
+  const firstHeading = cheerio.load(body)('h2, h3').first().text();
+  return {
+    title: infoTitle && !/^untitled/i.test(infoTitle) ? infoTitle : (firstHeading || fileTitle(url)),
+    body,
+    pageCount: data.numpages
+  };
+}
+
+// --- Office Open XML ---
+
+// Opens an Office file, rejecting archives whose entries inflate past MAX_UNCOMPRESSED_SIZE
+async function loadZip(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  let size = 0;
+  zip.forEach((name, file) => {
+    size += file._data?.uncompressedSize || 0;
+  });
+  if (size > MAX_UNCOMPRESSED_SIZE) {
+    throw new Error(`Document inflates to more than ${MAX_UNCOMPRESSED_SIZE / 1024 / 1024} MB`);
+  }
+  return zip;
+}
+
+// Streams an archive entry to `onChunk`, failing once it inflates past `limit` bytes.
+// The sizes an archive declares can be forged, so only the inflated bytes are counted.
+// Resolves to the entry's inflated size.
+function inflateEntry(file, limit, onChunk) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const stream = file.internalStream('uint8array');
+    stream
+      .on('data', chunk => {
+        size += chunk.length;
+        if (size > limit) {
+          stream.pause();
+          reject(new Error(`${file.name} inflates to more than ${MAX_UNCOMPRESSED_SIZE / 1024 / 1024} MB`));
+          return;
+        }
+        onChunk(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(size))
+      .resume();
+  });
+}
+
+// Text of an archive entry
+async function readEntry(file) {
+  const chunks = [];
+  await inflateEntry(file, MAX_UNCOMPRESSED_SIZE, chunk => chunks.push(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Inflates the whole archive without keeping it, so one handed to a library that
+// inflates it in full is known to stay within MAX_UNCOMPRESSED_SIZE
+async function checkInflatedSize(zip) {
+  let size = 0;
+  for (const file of Object.values(zip.files)) {
+    if (!file.dir) size += await inflateEntry(file, MAX_UNCOMPRESSED_SIZE - size, () => {});
+  }
+}
+
+async function readXml(zip, name) {
+  const file = zip.file(name);
+  return file ? cheerio.load(await readEntry(file), { xmlMode: true }) : null;
+}
+
+async function readCoreTitle(zip) {
+  const core$ = await readXml(zip, 'docProps/core.xml');
+  if (!core$) return '';
+  return core$('dc\\:title').first().text().trim();
+}
+
+async function extractDocx(buffer, url) {
+  const zip = await loadZip(buffer);
+  // mammoth reads the archive itself, past the limits of readEntry
+  await checkInflatedSize(zip);
+  const { value: body } = await mammoth.convertToHtml({ buffer });
+  const firstHeading = cheerio.load(body)('h1, h2').first().text();
+  return {
+    title: (await readCoreTitle(zip)) || firstHeading || fileTitle(url),
+    body
+  };
+}
+
+function sheetCellText($, cell, sharedStrings) {
+  const type = $(cell).attr('t');
+  if (type === 's') return sharedStrings[parseInt($(cell).find('v').text())] || '';
+  if (type === 'inlineStr') return $(cell).find('t').text();
+  if (type === 'b') return $(cell).find('v').text() === '1' ? 'TRUE' : 'FALSE';
+  return $(cell).find('v').text();
+}
+
+// Zero-based column of a cell reference ("C5" -> 2), or null without one
+function columnIndex(reference) {
+  const letters = (reference || '').toUpperCase().match(/^[A-Z]+/);
+  if (!letters) return null;
+  return [...letters[0]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Cells of a sheet row, placed in their columns. Empty cells are usually left out of the
+// file, so a cell's column comes from its reference rather than its position in the row.
+function sheetRowCells($, row, sharedStrings) {
+  const cells = [];
+  for (const cell of $(row).find('c').toArray()) {
+    const column = columnIndex($(cell).attr('r')) ?? cells.length;
+    if (column >= MAX_SHEET_COLUMNS) break;
+    while (cells.length < column) cells.push('');
+    cells[column] = sheetCellText($, cell, sharedStrings).trim();
+  }
+  return cells;
+}
+
+async function extractXlsx(buffer, url) {
+  const zip = await loadZip(buffer);
+
+  const sharedStrings = [];
+  const strings$ = await readXml(zip, 'xl/sharedStrings.xml');
+  if (strings$) {
+    strings$('si').each((i, si) => {
+      sharedStrings.push(strings$(si).find('t').map((j, t) => strings$(t).text()).get().join(''));
+    });
+  }
+
+  const workbook$ = await readXml(zip, 'xl/workbook.xml');
+  const rels$ = await readXml(zip, 'xl/_rels/workbook.xml.rels');
+  if (!workbook$ || !rels$) throw new Error('Not a valid spreadsheet');
+
+  const sections = [];
+  for (const sheet of workbook$('sheet').toArray()) {
+    const name = workbook$(sheet).attr('name');
+    const target = rels$(`Relationship[Id="${workbook$(sheet).attr('r:id')}"]`).attr('Target');
+    if (!target) continue;
+
+    const sheet$ = await readXml(zip, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+    if (!sheet$) continue;
+
+    const rows = [];
+    for (const row of sheet$('sheetData row').toArray()) {
+      const cells = sheetRowCells(sheet$, row, sharedStrings);
+      if (cells.some(Boolean)) rows.push(cells);
+      if (rows.length >= MAX_SHEET_ROWS) break;
+    }
+    // Pad short rows so every column lines up
+    const width = Math.max(0, ...rows.map(cells => cells.length));
+    rows.forEach(cells => {
+      while (cells.length < width) cells.push('');
+    });
+
+    if (rows.length > 0) {
+      sections.push(`<h2>${escapeHtml(name)}</h2>${tableHtml(rows)}`);
+    }
+  }
+
+  return {
+    title: (await readCoreTitle(zip)) || fileTitle(url),
+    body: sections.join('\n')
+  };
+}
+
+async function extractPptx(buffer, url) {
+  const zip = await loadZip(buffer);
+  const slideFiles = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1]) - parseInt(b.match(/(\d+)\.xml$/)[1]));
+
+  const sections = [];
+  for (const [index, name] of slideFiles.entries()) {
+    const $ = await readXml(zip, name);
+    const paragraphText = (p) => $(p).find('a\\:t').map((i, t) => $(t).text()).get().join('').trim();
+    let title = '';
+    const blocks = [];
+
+    $('p\\:sp, p\\:graphicFrame').each((i, shape) => {
+      if (shape.name === 'p:graphicFrame') {
+        const rows = $(shape).find('a\\:tr').toArray()
+          .map(tr => $(tr).find('a\\:tc').toArray().map(tc => paragraphText(tc)));
+        blocks.push(tableHtml(rows.filter(row => row.some(Boolean))));
+        return;
+      }
+
+      const placeholder = $(shape).find('p\\:ph').attr('type');
+      const paragraphs = $(shape).find('a\\:p').toArray().map(paragraphText).filter(Boolean);
+      if (!title && ['title', 'ctrTitle'].includes(placeholder)) {
+        title = paragraphs.join(' ');
+      } else {
+        paragraphs.forEach(text => blocks.push(`<p>${escapeHtml(text)}</p>`));
+      }
+    });
+
+    if (title || blocks.length > 0) {
+      sections.push(`<h2>${escapeHtml(title || `Slide ${index + 1}`)}</h2>${blocks.join('')}`);
+    }
+  }
+
+  return {
+    title: (await readCoreTitle(zip)) || fileTitle(url),
+    body: sections.join('\n'),
+    pageCount: slideFiles.length
+  };
+}
+
+const extractors = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  xlsx: extractXlsx,
+  pptx: extractPptx
+};
+
+// Converts a downloaded document into HTML for parseHtml.
+// Returns { html, title, pageCount }; throws if the file can't be read.
+async function extractDocument(buffer, type, url) {
+  const extract = extractors[type];
+  if (!extract) {
+    throw new Error(`Unsupported document type: ${type}`);
+  }
+
+  const { title, body, pageCount = null } = await extract(buffer, url);
+  return {
+    html: buildHtml(title, body),
+    title,
+    pageCount
+  };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getDocumentType,
+  extractDocument
+};
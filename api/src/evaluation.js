@@ -0,0 +1,105 @@
+// Retrieval coverage of a scan, measured against a set of expected customer questions
+//
+// Each question is run through the scan's search index. Questions with an expected URL count
+// as hits when a chunk or Q&A pair from that page ranks in the top `k` results; questions
+// without one are supported when a top result contains enough of the question's terms.
+
+const { URL } = require('url');
+
+const DEFAULT_EVALUATION = {
+  k: 5,
+  minCoverage: 0.5
+};
+
+// Comparable form of a URL: no fragment, trailing slash or "www."
+function urlKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.replace(/^www\./, '');
+    return parsed.href.replace(/\/$/, '');
+  } catch {
+    return null;
+  }
+}
+
+function summarizeResult(result) {
+  return {
+    url: result.url,
+    type: result.type,
+    headingPath: result.headingPath,
+    score: result.score,
+    coverage: result.coverage,
+    snippet: result.snippet
+  };
+}
+
+// `questions` is [{ question, expectedUrl }]. Returns the metrics and a result per question.
+function evaluateRetrieval(index, pages, questions, options = {}) {
+  const k = options.k || DEFAULT_EVALUATION.k;
+  const minCoverage = options.minCoverage !== undefined ? options.minCoverage : DEFAULT_EVALUATION.minCoverage;
+  const scannedUrls = new Set(pages.map(page => urlKey(page.url)));
+
+  let withExpectedUrl = 0;
+  let hits = 0;
+  let reciprocalRankSum = 0;
+
+  const results = questions.map(({ question, expectedUrl }) => {
+    const matches = index.search(question, { limit: k });
+    const result = {
+      question,
+      expectedUrl: expectedUrl || null,
+      supported: false,
+      topResults: matches.map(summarizeResult)
+    };
+
+    if (expectedUrl) {
+      const expected = urlKey(expectedUrl);
+      const position = matches.findIndex(match => urlKey(match.url) === expected);
+      withExpectedUrl++;
+      result.rank = position >= 0 ? position + 1 : null;
+      // Tells a retrieval miss apart from a page the crawl never collected
+      result.expectedUrlScanned = scannedUrls.has(expected);
+      result.supported = position >= 0;
+      if (result.supported) {
+        hits++;
+        reciprocalRankSum += 1 / result.rank;
+      }
+    } else {
+      result.supported = matches.some(match => match.coverage >= minCoverage);
+    }
+
+    return result;
+  });
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const supported = results.filter(result => result.supported).length;
+
+  return {
+    k,
+    minCoverage,
+    indexedDocuments: index.size,
+    metrics: {
+      questions: questions.length,
+      withExpectedUrl,
+      // Hit rate and MRR only count questions with an expected URL
+      hitRate: withExpectedUrl > 0 ? round(hits / withExpectedUrl) : null,
+      mrr: withExpectedUrl > 0 ? round(reciprocalRankSum / withExpectedUrl) : null,
+      supportedRate: questions.length > 0 ? round(supported / questions.length) : null
+    },
+    unsupported: results
+      .filter(result => !result.supported)
+      .map(result => ({
+        question: result.question,
+        expectedUrl: result.expectedUrl,
+        ...(result.expectedUrl && { expectedUrlScanned: result.expectedUrlScanned }),
+        bestMatch: result.topResults[0] || null
+      })),
+    results
+  };
+}
+
+module.exports = {
+  DEFAULT_EVALUATION,
+  evaluateRetrieval
+};
@@ -0,0 +1,138 @@
+// Registry of custom extractors
+//
+// A custom extractor reads one kind of data from a page (product specs, pricing tables, ...)
+// that the built-in extraction doesn't. Registered extractors run on every crawled page and on
+// single-URL extractions that name them; their output is stored on the page under
+// `extracted[outputKey]`. Extractors can be registered in code or loaded from a plugins
+// directory, one module per file.
+
+const fs = require('fs');
+const path = require('path');
+
+// Names of the extraction steps built into the scanner
+const BUILTIN_EXTRACTORS = ['qa', 'content', 'metadata', 'schema', 'structure'];
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const OUTPUT_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const extractors = new Map();
+
+// Registers `{ name, extract, outputKey, description, toText }`:
+// - extract($, url): synchronous; returns the output, or null/undefined when the page has none.
+//   It runs on the page as loaded and must not modify it.
+// - outputKey: key of the output in `extracted` (default: the name in camelCase)
+// - toText(output): optional plain text rendering, used by the markdown and vectordb exports
+function registerExtractor(extractor) {
+  const { name, extract, outputKey = camelCase(name || ''), description = '', toText = null } = extractor || {};
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid extractor name "${name}": use lowercase letters, digits and dashes`);
+  }
+  if (BUILTIN_EXTRACTORS.includes(name)) {
+    throw new Error(`"${name}" is a built-in extractor`);
+  }
+  if (extractors.has(name)) {
+    throw new Error(`An extractor named "${name}" is already registered`);
+  }
+  if (typeof extract !== 'function') {
+    throw new Error(`Extractor "${name}" has no extract function`);
+  }
+  if (!OUTPUT_KEY_PATTERN.test(outputKey)) {
+    throw new Error(`Invalid output key "${outputKey}" for extractor "${name}"`);
+  }
+  const conflict = [...extractors.values()].find(registered => registered.outputKey === outputKey);
+  if (conflict) {
+    throw new Error(`Extractor "${conflict.name}" already uses the output key "${outputKey}"`);
+  }
+  if (toText !== null && typeof toText !== 'function') {
+    throw new Error(`The toText of extractor "${name}" is not a function`);
+  }
+
+  const registered = { name, extract, outputKey, description, toText };
+  extractors.set(name, registered);
+  return registered;
+}
+
+function unregisterExtractor(name) {
+  return extractors.delete(name);
+}
+
+function getExtractors() {
+  return [...extractors.values()];
+}
+
+function getExtractor(name) {
+  return extractors.get(name) || null;
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+// Runs the registered extractors (or only those in `names`) on a page. Returns
+// { extracted, errors }: the outputs by output key, and [{ extractor, error }] for extractors
+// that threw, so one broken extractor doesn't fail the page.
+function runExtractors($, url, names = null) {
+  const extracted = {};
+  const errors = [];
+
+  for (const extractor of extractors.values()) {
+    if (names && !names.includes(extractor.name)) continue;
+    try {
+      const output = extractor.extract($, url);
+      if (output !== null && output !== undefined) {
+        extracted[extractor.outputKey] = output;
+      }
+    } catch (error) {
+      errors.push({ extractor: extractor.name, error: error.message });
+    }
+  }
+
+  return { extracted, errors };
+}
+
+// Text of an extracted output for the text-based exports: the extractor's toText, or null
+// when it has none (or is no longer registered)
+function extractedText(outputKey, output) {
+  const extractor = [...extractors.values()].find(registered => registered.outputKey === outputKey);
+  if (!extractor || !extractor.toText) return null;
+  try {
+    const text = extractor.toText(output);
+    return typeof text === 'string' && text.trim() ? text.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Registers the extractors of every .js file in `dir`. A plugin module exports one extractor
+// or an array of them. Returns { loaded: [names], failed: [{ file, error }] }; a plugin that
+// fails to load doesn't keep the others from loading.
+function loadPlugins(dir) {
+  const loaded = [];
+  const failed = [];
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+
+  for (const file of files) {
+    try {
+      const exported = require(path.resolve(dir, file));
+      for (const extractor of Array.isArray(exported) ? exported : [exported]) {
+        loaded.push(registerExtractor(extractor).name);
+      }
+    } catch (error) {
+      failed.push({ file, error: error.message });
+    }
+  }
+
+  return { loaded, failed };
+}
+
+module.exports = {
+  BUILTIN_EXTRACTORS,
+  registerExtractor,
+  unregisterExtractor,
+  getExtractors,
+  getExtractor,
+  runExtractors,
+  extractedText,
+  loadPlugins
+};
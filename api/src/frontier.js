@@ -0,0 +1,205 @@
+// Scored crawl frontier: URLs most likely to hold the requested content are crawled first
+
+const { URL } = require('url');
+
+// URL path segments and anchor-text keywords that point to each page type
+const PAGE_TYPE_SIGNALS = {
+  'FAQ': {
+    paths: ['/faq', '/faqs', '/questions', '/q-and-a'],
+    anchors: ['faq', 'frequently asked', 'questions']
+  },
+  'Documentation': {
+    paths: ['/docs', '/documentation', '/manual', '/guide'],
+    anchors: ['docs', 'documentation', 'manual']
+  },
+  'Support': {
+    paths: ['/support', '/help', '/assistance', '/contact'],
+    anchors: ['support', 'help', 'contact us']
+  },
+  'Guide': {
+    paths: ['/guide', '/tutorial', '/how-to', '/getting-started'],
+    anchors: ['guide', 'tutorial', 'how to', 'getting started']
+  },
+  'Troubleshooting': {
+    paths: ['/troubleshoot', '/known-issues', '/errors'],
+    anchors: ['troubleshoot', 'known issues', 'problem', 'error']
+  },
+  'API Documentation': {
+    paths: ['/api', '/developer', '/reference'],
+    anchors: ['api', 'developer', 'reference']
+  },
+  'Knowledge Base': {
+    paths: ['/kb', '/knowledge', '/articles', '/help-center'],
+    anchors: ['knowledge base', 'help center', 'articles']
+  },
+  'Product': {
+    paths: ['/product', '/features', '/pricing'],
+    anchors: ['product', 'features', 'pricing']
+  },
+  'Service': {
+    paths: ['/service', '/solutions'],
+    anchors: ['services', 'solutions']
+  },
+  'Contact': {
+    paths: ['/contact'],
+    anchors: ['contact']
+  },
+  'About': {
+    paths: ['/about', '/company', '/team'],
+    anchors: ['about', 'company', 'our team']
+  },
+  'Blog/Article': {
+    paths: ['/blog', '/news', '/articles', '/posts'],
+    anchors: ['blog', 'news', 'article']
+  },
+  'Changelog': {
+    paths: ['/changelog', '/updates', '/release'],
+    anchors: ['changelog', 'release notes', "what's new"]
+  }
+};
+
+// Short names accepted before page types matched the classifier's labels
+PAGE_TYPE_SIGNALS.API = PAGE_TYPE_SIGNALS['API Documentation'];
+PAGE_TYPE_SIGNALS.Blog = PAGE_TYPE_SIGNALS['Blog/Article'];
+
+const WEIGHTS = {
+  pathMatch: 50,
+  anchorMatch: 30,
+  parentType: 15,
+  parentQuality: 0.2,
+  depth: -10,
+  seedPriority: 20,
+  recentlyModified: 10
+};
+
+// Score of the start URL, crawled before any link or seed. Finite so it survives
+// a JSON checkpoint
+const START_SCORE = Number.MAX_SAFE_INTEGER;
+
+// Scores a discovered link; higher is crawled earlier.
+// `link` is { url, anchorText, depth, parentQuality, parentType }
+function scoreLink(link, pageTypes = []) {
+  let path = '';
+  try {
+    path = new URL(link.url).pathname.toLowerCase();
+  } catch {
+    // Unscorable URLs keep the base score
+  }
+  const anchor = (link.anchorText || '').toLowerCase();
+  const signals = (pageTypes || []).map(type => PAGE_TYPE_SIGNALS[type]).filter(Boolean);
+
+  let score = WEIGHTS.depth * (link.depth || 0) + WEIGHTS.parentQuality * (link.parentQuality || 0);
+  if (signals.some(signal => signal.paths.some(segment => path.includes(segment)))) {
+    score += WEIGHTS.pathMatch;
+  }
+  if (anchor && signals.some(signal => signal.anchors.some(keyword => anchor.includes(keyword)))) {
+    score += WEIGHTS.anchorMatch;
+  }
+  // Pages of a requested type tend to link to more of the same
+  if (link.parentType && (pageTypes || []).includes(link.parentType)) {
+    score += WEIGHTS.parentType;
+  }
+  return Math.round(score * 10) / 10;
+}
+
+// Scores a URL from a sitemap or feed like a link found on the start page, boosted by
+// its sitemap `priority` (0-1) and how recently it changed
+function scoreSeed(seed, pageTypes = []) {
+  let score = scoreLink({ url: seed.url, anchorText: seed.title, depth: 1 }, pageTypes);
+  score += WEIGHTS.seedPriority * (seed.priority !== undefined ? seed.priority : 0.5);
+
+  const modified = Date.parse(seed.lastmod);
+  if (!isNaN(modified)) {
+    const ageDays = (Date.now() - modified) / 86400000;
+    if (ageDays <= 30) score += WEIGHTS.recentlyModified;
+    else if (ageDays <= 365) score += WEIGHTS.recentlyModified / 2;
+  }
+  return Math.round(score * 10) / 10;
+}
+
+// Max-heap of crawl items keyed by URL. Re-adding a URL only raises its score;
+// equal scores are crawled in discovery order.
+class Frontier {
+  constructor(items = []) {
+    this.heap = [];
+    this.entries = new Map();
+    this.sequence = 0;
+    items.forEach(item => this.push(item));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  push(item) {
+    const score = item.score || 0;
+    const existing = this.entries.get(item.url);
+    if (existing && existing.item.score >= score) return false;
+
+    // A superseded heap entry is skipped when it surfaces
+    const entry = { item: { ...item, score }, order: this.sequence++ };
+    this.entries.set(item.url, entry);
+    this.heap.push(entry);
+    this.siftUp(this.heap.length - 1);
+    return true;
+  }
+
+  pop() {
+    while (this.heap.length > 0) {
+      const top = this.heap[0];
+      const last = this.heap.pop();
+      if (this.heap.length > 0) {
+        this.heap[0] = last;
+        this.siftDown(0);
+      }
+      if (this.entries.get(top.item.url) === top) {
+        this.entries.delete(top.item.url);
+        return top.item;
+      }
+    }
+    return undefined;
+  }
+
+  // Pending items, highest priority first
+  toArray() {
+    return Array.from(this.entries.values())
+      .sort((a, b) => this.compare(a, b) ? -1 : 1)
+      .map(entry => entry.item);
+  }
+
+  // True when entry `a` should be crawled before `b`
+  compare(a, b) {
+    return a.item.score > b.item.score || (a.item.score === b.item.score && a.order < b.order);
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.compare(this.heap[index], this.heap[parent])) break;
+      [this.heap[index], this.heap[parent]] = [this.heap[parent], this.heap[index]];
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const length = this.heap.length;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let best = index;
+      if (left < length && this.compare(this.heap[left], this.heap[best])) best = left;
+      if (right < length && this.compare(this.heap[right], this.heap[best])) best = right;
+      if (best === index) break;
+      [this.heap[index], this.heap[best]] = [this.heap[best], this.heap[index]];
+      index = best;
+    }
+  }
+}
+
+module.exports = {
+  Frontier,
+  START_SCORE,
+  scoreLink,
+  scoreSeed,
+  PAGE_TYPE_SIGNALS
+};
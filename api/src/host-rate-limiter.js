@@ -0,0 +1,48 @@
+// Per-host token bucket that keeps concurrent crawling polite to each host
+
+class HostRateLimiter {
+  constructor(options = {}) {
+    // Number of requests a host may receive back-to-back before the interval applies
+    this.burst = Math.max(1, options.burst || 1);
+    this.buckets = new Map();
+  }
+
+  getBucket(host, now) {
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, { tokens: this.burst, updatedAt: now, blockedUntil: 0 });
+    }
+    return this.buckets.get(host);
+  }
+
+  // Resolves once a request to `host` may start; one token refills every `intervalMs`.
+  // Tokens are reserved synchronously, so concurrent callers queue up one interval apart.
+  async acquire(host, intervalMs) {
+    const now = Date.now();
+    const bucket = this.getBucket(host, now);
+
+    if (intervalMs > 0) {
+      bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) / intervalMs);
+    } else {
+      bucket.tokens = this.burst;
+    }
+    bucket.updatedAt = now;
+    bucket.tokens -= 1;
+
+    const wait = Math.max(
+      bucket.tokens < 0 ? Math.ceil(-bucket.tokens * intervalMs) : 0,
+      bucket.blockedUntil - now
+    );
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  // Holds back every request to `host` for `ms`, e.g. after a 429 with Retry-After
+  pause(host, ms) {
+    const now = Date.now();
+    const bucket = this.getBucket(host, now);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, now + ms);
+  }
+}
+
+module.exports = HostRateLimiter;
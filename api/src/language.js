@@ -0,0 +1,244 @@
+// Page language detection, translation grouping and RTL text normalization
+//
+// A page's language is taken from the hreflang alternate pointing at the page itself, then
+// `<html lang>`, then the Content-Language meta tag, and otherwise guessed from the script and
+// common words of its text. A declared language is overruled by the text when the text is
+// clearly written in another script, as templates often hardcode one `lang` for every
+// translation.
+
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const RTL_LANGUAGES = ['he', 'yi', 'ar', 'fa', 'ur', 'ps', 'sd', 'ug', 'dv', 'ckb'];
+
+// Older codes still found in markup
+const LANGUAGE_ALIASES = { iw: 'he', ji: 'yi', in: 'id' };
+
+// Script of the languages the text statistics can tell apart; other languages are Latin
+const LANGUAGE_SCRIPTS = {
+  he: 'hebrew', yi: 'hebrew',
+  ar: 'arabic', fa: 'arabic', ur: 'arabic', ps: 'arabic', sd: 'arabic', ug: 'arabic', ckb: 'arabic',
+  ru: 'cyrillic', uk: 'cyrillic', bg: 'cyrillic', sr: 'cyrillic', be: 'cyrillic', mk: 'cyrillic', kk: 'cyrillic',
+  el: 'greek', hi: 'devanagari', mr: 'devanagari', ne: 'devanagari', th: 'thai', ko: 'hangul', ja: 'cjk', zh: 'cjk'
+};
+
+const SCRIPT_PATTERNS = {
+  latin: /[A-Za-z\u00C0-\u024F]/g,
+  hebrew: /[\u0590-\u05FF\uFB1D-\uFB4F]/g,
+  arabic: /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFC]/g,
+  cyrillic: /[\u0400-\u04FF]/g,
+  greek: /[\u0370-\u03FF]/g,
+  devanagari: /[\u0900-\u097F]/g,
+  thai: /[\u0E00-\u0E7F]/g,
+  hangul: /[\uAC00-\uD7AF\u1100-\u11FF]/g,
+  cjk: /[\u3040-\u30FF\u4E00-\u9FFF]/g
+};
+
+// Common short words of Latin-script languages
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'for', 'with', 'you', 'are', 'this', 'on', 'it', 'be'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'ein', 'eine', 'zu', 'auf', 'für', 'sie', 'den', 'von'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'du', 'pour', 'dans', 'que', 'pas', 'sur', 'au', 'vous'],
+  es: ['de', 'el', 'la', 'los', 'las', 'y', 'que', 'en', 'es', 'por', 'para', 'una', 'con', 'del', 'se', 'no'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'non', 'una', 'sono', 'del', 'della', 'con', 'gli', 'un', 'è'],
+  pt: ['o', 'os', 'de', 'que', 'em', 'um', 'uma', 'para', 'com', 'não', 'é', 'do', 'da', 'se', 'ao'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'voor', 'met', 'zijn', 'je', 'ook', 'te']
+};
+
+const MIN_LETTERS = 50;
+const MIN_STOPWORD_HITS = 5;
+const SAMPLE_LENGTH = 5000;
+
+// Primary subtag of a language tag ("he-IL" -> "he", "pt_BR" -> "pt"), or null
+function primaryLanguage(tag) {
+  const match = String(tag || '').trim().toLowerCase().match(/^([a-z]{2,3})(?:[-_]|$)/);
+  if (!match) return null;
+  return LANGUAGE_ALIASES[match[1]] || match[1];
+}
+
+function scriptOf(language) {
+  return LANGUAGE_SCRIPTS[language] || 'latin';
+}
+
+function isRtl(language) {
+  return RTL_LANGUAGES.includes(language);
+}
+
+// Guesses the language from the text: { language, script, confidence } or null when the
+// text is too short or too mixed to tell
+function textLanguage(text) {
+  const sample = (text || '').substring(0, SAMPLE_LENGTH);
+  const counts = Object.entries(SCRIPT_PATTERNS)
+    .map(([script, pattern]) => ({ script, count: (sample.match(pattern) || []).length }))
+    .sort((a, b) => b.count - a.count);
+  const letters = counts.reduce((sum, { count }) => sum + count, 0);
+  if (letters < MIN_LETTERS) return null;
+
+  const { script, count } = counts[0];
+  const confidence = Math.round((count / letters) * 100) / 100;
+  if (confidence < 0.5) return null;
+
+  if (script === 'latin') {
+    const words = sample.toLowerCase().split(/[^a-z\u00C0-\u024F]+/);
+    const hits = Object.entries(STOPWORDS)
+      .map(([language, stopwords]) => ({ language, hits: words.filter(word => stopwords.includes(word)).length }))
+      .sort((a, b) => b.hits - a.hits);
+    if (hits[0].hits < MIN_STOPWORD_HITS) return null;
+    return { language: hits[0].language, script, confidence };
+  }
+
+  let language = Object.keys(LANGUAGE_SCRIPTS).find(code => LANGUAGE_SCRIPTS[code] === script);
+  // Letters only some languages of the script use
+  if (script === 'arabic' && /[\u067E\u0686\u0698\u06AF]/.test(sample)) language = 'fa';
+  if (script === 'cyrillic' && /[\u0456\u0457\u0454\u0491]/i.test(sample)) language = 'uk';
+  if (script === 'cjk') language = /[\u3040-\u30FF]/.test(sample) ? 'ja' : 'zh';
+  return { language, script, confidence };
+}
+
+// hreflang alternates of a page: [{ hreflang, language, url }] with absolute URLs
+function extractAlternates($, pageUrl) {
+  const alternates = [];
+  $('link[rel~="alternate"][hreflang][href]').each((i, link) => {
+    const hreflang = $(link).attr('hreflang').trim();
+    const language = primaryLanguage(hreflang);
+    // x-default is the language picker, not a translation
+    if (!language || hreflang.toLowerCase() === 'x-default') return;
+    try {
+      alternates.push({ hreflang, language, url: new URL($(link).attr('href'), pageUrl).href });
+    } catch {
+      // Malformed href
+    }
+  });
+  return alternates;
+}
+
+// Returns { language, source, direction }. `alternates` are the page's alternates with
+// URLs normalized like `pageUrl`; `text` is its main content.
+function detectLanguage($, pageUrl, alternates, text) {
+  const self = alternates.find(alternate => alternate.url === pageUrl);
+  const declared = [
+    { language: self && self.language, source: 'hreflang' },
+    { language: primaryLanguage($('html').attr('lang') || $('html').attr('xml:lang')), source: 'html-lang' },
+    { language: primaryLanguage($('meta[http-equiv="content-language" i]').attr('content')), source: 'meta' }
+  ].find(candidate => candidate.language);
+  const guessed = textLanguage(text);
+
+  let result = { language: null, source: null };
+  if (declared && !(guessed && guessed.confidence >= 0.8 && guessed.script !== scriptOf(declared.language))) {
+    result = declared;
+  } else if (guessed) {
+    result = { language: guessed.language, source: 'text' };
+  }
+
+  const dir = ($('html').attr('dir') || $('body').attr('dir') || '').toLowerCase();
+  const direction = dir === 'rtl' || dir === 'ltr' ? dir : (isRtl(result.language) ? 'rtl' : 'ltr');
+  return { ...result, direction };
+}
+
+// --- RTL normalization ---
+
+// Directional marks, embeddings, overrides and isolates only steer how text is displayed
+const BIDI_CONTROLS = /[\u200E\u200F\u202A-\u202E\u2066-\u2069\u061C]/g;
+// Arabic tatweel (kashida) only stretches words
+const TATWEEL = /\u0640/g;
+// Hebrew and Arabic presentation forms are legacy encodings of ordinary letters
+const PRESENTATION_FORMS = /[\uFB1D-\uFB4F\uFB50-\uFDFF\uFE70-\uFEFC]+/g;
+
+// Removes display-only characters and normalizes to NFC, so the same words compare and
+// search equal however the page encoded them
+function normalizeText(text) {
+  if (!/[^\x00-\x7F]/.test(text)) return text;
+  return text
+    .replace(BIDI_CONTROLS, '')
+    .replace(TATWEEL, '')
+    .replace(PRESENTATION_FORMS, forms => forms.normalize('NFKC'))
+    .normalize('NFC');
+}
+
+// Text that isn't read as page text (scripts, JSON-LD, styles) or must stay verbatim (code)
+const VERBATIM_ELEMENTS = 'script, style, noscript, template, pre, code';
+
+// Normalizes the text nodes of a loaded page, except those in VERBATIM_ELEMENTS
+function normalizeDocumentText($) {
+  $('*').not(VERBATIM_ELEMENTS).contents().each((i, node) => {
+    if (node.type === 'text' && $(node.parent).closest(VERBATIM_ELEMENTS).length === 0) {
+      node.data = normalizeText(node.data);
+    }
+  });
+}
+
+// --- Translation groups ---
+
+// The URL without its language: a leading host label or a path segment naming `language`
+// ("en", "en-us") is dropped, so /en/about and /about map to the same key
+function languageNeutralUrl(url, language) {
+  try {
+    const parsed = new URL(url);
+    const isLanguage = part => primaryLanguage(part) === language && /^[a-z]{2,3}([-_][a-z]{2,4})?$/i.test(part);
+    const labels = parsed.hostname.replace(/^www\./, '').split('.');
+    const host = labels.length > 2 && isLanguage(labels[0]) ? labels.slice(1).join('.') : labels.join('.');
+    const segments = parsed.pathname.split('/');
+    const index = segments.findIndex(isLanguage);
+    if (index !== -1) segments.splice(index, 1);
+    return `${host}${segments.join('/').replace(/\/$/, '')}${parsed.search}`;
+  } catch {
+    return null;
+  }
+}
+
+// Groups translations of the same page: pages linked by hreflang alternates, and pages in
+// different languages whose URLs differ only by their language. Sets `translationGroup` on
+// the grouped pages and returns [{ groupId, pages: [{ url, language }] }].
+function groupTranslations(pages) {
+  for (const page of pages) delete page.translationGroup;
+
+  const parents = new Map(pages.map(page => [page.url, page.url]));
+  const find = url => {
+    while (parents.get(url) !== url) url = parents.get(url);
+    return url;
+  };
+  const union = (a, b) => {
+    if (parents.has(a) && parents.has(b)) parents.set(find(a), find(b));
+  };
+
+  const byNeutralUrl = new Map();
+  for (const page of pages) {
+    for (const alternate of page.alternates || []) {
+      union(page.url, alternate.url);
+    }
+    if (!page.language) continue;
+    const key = languageNeutralUrl(page.url, page.language);
+    if (!key) continue;
+    if (byNeutralUrl.has(key)) union(page.url, byNeutralUrl.get(key));
+    else byNeutralUrl.set(key, page.url);
+  }
+
+  const members = new Map();
+  for (const page of pages) {
+    const root = find(page.url);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(page);
+  }
+
+  const groups = [];
+  for (const group of members.values()) {
+    // Same-language pages are duplicates, not translations
+    if (new Set(group.map(page => page.language).filter(Boolean)).size < 2) continue;
+
+    const urls = group.map(page => page.url).sort();
+    const groupId = crypto.createHash('sha1').update(urls.join('\n')).digest('hex').substring(0, 16);
+    for (const page of group) page.translationGroup = groupId;
+    groups.push({ groupId, pages: group.map(page => ({ url: page.url, language: page.language })) });
+  }
+  return groups;
+}
+
+module.exports = {
+  primaryLanguage,
+  textLanguage,
+  extractAlternates,
+  detectLanguage,
+  normalizeText,
+  normalizeDocumentText,
+  groupTranslations
+};
@@ -0,0 +1,362 @@
+// Markdown (GitHub-flavored) from page HTML, and the sections of that markdown
+//
+// Keeps what an LLM can use from the markup: headings, lists, GFM tables, code blocks, links
+// and emphasis. Everything else is reduced to its text.
+
+const { URL } = require('url');
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'input', 'select', 'textarea', 'button'
+]);
+
+const FENCE = /^(`{3,}|~{3,})/;
+
+function isBlock(node) {
+  return node.type === 'tag' && BLOCK_TAGS.has(node.name);
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!baseUrl) return href;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+// Wraps text in a marker, keeping surrounding spaces outside of it
+function wrapInline(text, marker) {
+  const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+}
+
+// Collapses the whitespace of inline markdown, keeping line breaks from <br>
+function finishInline(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t\r\f\v]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Text whose lines would otherwise start a heading, quote or list. Ordered list markers are
+// escaped at their dot ("1\. "), since a backslash before a digit is no escape.
+function escapeBlockStart(text) {
+  return text
+    .replace(/^(#{1,6}|[>+\-*])(\s)/gm, '\\$1$2')
+    .replace(/^(\d{1,9})([.)])(\s)/gm, '$1\\$2$3');
+}
+
+class MarkdownConverter {
+  constructor($, baseUrl) {
+    this.$ = $;
+    this.baseUrl = baseUrl;
+  }
+
+  inline(nodes) {
+    return nodes.map(node => this.inlineNode(node)).join('');
+  }
+
+  inlineNode(node) {
+    if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+    if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name)) return '';
+
+    const children = node.children || [];
+    switch (node.name) {
+      case 'br':
+        return '\n';
+      case 'strong':
+      case 'b':
+        return wrapInline(this.inline(children), '**');
+      case 'em':
+      case 'i':
+        return wrapInline(this.inline(children), '_');
+      case 'del':
+      case 's':
+      case 'strike':
+        return wrapInline(this.inline(children), '~~');
+      case 'code': {
+        const code = this.$(node).text().replace(/\s+/g, ' ');
+        if (!code.trim()) return code;
+        const fence = code.includes('`') ? '``' : '`';
+        return `${fence}${code}${fence}`;
+      }
+      case 'a': {
+        const text = this.inline(children);
+        const href = (this.$(node).attr('href') || '').trim();
+        // Same-page fragments and script links lead nowhere outside the page
+        if (!text.trim() || !href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+        return wrapLink(text, resolveUrl(href, this.baseUrl));
+      }
+      case 'img': {
+        const alt = (this.$(node).attr('alt') || '').replace(/\s+/g, ' ').trim();
+        const src = (this.$(node).attr('src') || '').trim();
+        if (!alt || !src || src.startsWith('data:')) return alt;
+        return `![${alt.replace(/[[\]]/g, '')}](${resolveUrl(src, this.baseUrl)})`;
+      }
+      default:
+        // Blocks inside inline content (a <div> in a list item) are kept apart by spaces
+        return isBlock(node) ? ` ${this.inline(children)} ` : this.inline(children);
+    }
+  }
+
+  // Markdown blocks of a run of sibling nodes; inline runs between blocks become paragraphs
+  blocks(nodes) {
+    const blocks = [];
+    let run = [];
+    const flush = () => {
+      const text = finishInline(this.inline(run));
+      if (text) blocks.push(escapeBlockStart(text));
+      run = [];
+    };
+
+    for (const node of nodes) {
+      if (node.type === 'tag' && SKIPPED_TAGS.has(node.name)) continue;
+      if (isBlock(node)) {
+        flush();
+        blocks.push(...this.block(node));
+      } else {
+        run.push(node);
+      }
+    }
+    flush();
+    return blocks;
+  }
+
+  block(node) {
+    const children = node.children || [];
+    switch (node.name) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const text = finishInline(this.inline(children)).replace(/\n/g, ' ');
+        return text ? [`${'#'.repeat(Number(node.name[1]))} ${text}`] : [];
+      }
+      case 'p': {
+        const text = finishInline(this.inline(children));
+        return text ? [escapeBlockStart(text)] : [];
+      }
+      case 'hr':
+        return ['---'];
+      case 'pre':
+        return this.codeBlock(node);
+      case 'ul':
+      case 'ol': {
+        const list = this.list(node, '');
+        return list ? [list] : [];
+      }
+      case 'table':
+        return this.table(node);
+      case 'blockquote': {
+        const quoted = this.blocks(children).join('\n\n');
+        return quoted ? [quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : [];
+      }
+      case 'dt':
+      case 'summary': {
+        const text = finishInline(this.inline(children)).replace(/\n/g, ' ');
+        return text ? [wrapInline(text, '**')] : [];
+      }
+      default:
+        return this.blocks(children);
+    }
+  }
+
+  codeBlock(node) {
+    const $node = this.$(node);
+    const code = $node.text().replace(/^\n+|\s+$/g, '');
+    if (!code) return [];
+
+    const className = `${$node.attr('class') || ''} ${$node.find('code').first().attr('class') || ''}`;
+    const language = (className.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/) || [])[1] || '';
+    const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return [`${fence}${language}\n${code}\n${fence}`];
+  }
+
+  list(node, indent) {
+    const ordered = node.name === 'ol';
+    let number = parseInt(this.$(node).attr('start'), 10) || 1;
+    const lines = [];
+
+    for (const item of (node.children || []).filter(child => child.type === 'tag' && child.name === 'li')) {
+      const marker = ordered ? `${number++}. ` : '- ';
+      const nested = [];
+      const own = [];
+      for (const child of item.children || []) {
+        if (child.type === 'tag' && (child.name === 'ul' || child.name === 'ol')) {
+          nested.push(child);
+        } else {
+          own.push(child);
+        }
+      }
+
+      const text = finishInline(this.inline(own)).replace(/\n/g, ' ');
+      if (text) lines.push(`${indent}${marker}${text}`);
+      for (const list of nested) {
+        const nestedList = this.list(list, indent + ' '.repeat(marker.length));
+        if (nestedList) lines.push(nestedList);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  table(node) {
+    const $ = this.$;
+    // Rows of this table, not of tables nested in its cells
+    const rows = $(node).find('tr')
+      .filter((i, row) => $(row).closest('table')[0] === node)
+      .map((i, row) => [$(row).children('th, td').map((j, cell) => (
+        finishInline(this.inline(cell.children || [])).replace(/\n/g, ' ').replace(/\|/g, '\\|')
+      )).get()])
+      .get()
+      .filter(cells => cells.some(Boolean));
+    if (rows.length === 0) return [];
+
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const line = cells => `| ${Array.from({ length: columns }, (v, i) => cells[i] || '').join(' | ')} |`;
+    const lines = [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)];
+
+    const caption = finishInline(this.inline($(node).children('caption').first().contents().get()));
+    return caption ? [escapeBlockStart(caption), lines.join('\n')] : [lines.join('\n')];
+  }
+}
+
+function wrapLink(text, url) {
+  const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return `${before}[${inner.replace(/[[\]]/g, '')}](${url.replace(/[()\s]/g, encodeURIComponent)})${after}`;
+}
+
+// Markdown of `element` (a cheerio selection); links and images are made absolute against `baseUrl`
+function htmlToMarkdown($, element, baseUrl = null) {
+  const converter = new MarkdownConverter($, baseUrl);
+  return converter.blocks(element.toArray().flatMap(node => node.children || [])).join('\n\n');
+}
+
+// --- Reading markdown back ---
+
+// Blocks separated by blank lines; fenced code blocks are kept whole
+function markdownBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let fence = null;
+
+  for (const line of (markdown || '').split('\n')) {
+    const fenceMatch = line.match(FENCE);
+    if (fence) {
+      current.push(line);
+      // Closed by a line of at least as many of the same fence characters
+      if (new RegExp(`^${fence[0]}{${fence.length},}\\s*$`).test(line)) fence = null;
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      current.push(line);
+      continue;
+    }
+    if (!line.trim()) {
+      if (current.length > 0) blocks.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    current.push(line);
+  }
+  if (current.length > 0) blocks.push(current.join('\n'));
+  return blocks;
+}
+
+// The plain text of one line of markdown, as it reads on the page
+function markdownPlainText(line) {
+  let text = line.trim();
+  if (/^\|.*\|$/.test(text)) {
+    // A table row reads as its cells, the way page sections store rows
+    text = text.slice(1, -1).split(/(?<!\\)\|/).map(cell => cell.trim()).join(' | ');
+  }
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^(#{1,6}\s+|>\s?|[-*+]\s+|\d+\.\s+)/, '')
+    .replace(/\*\*|~~|`+/g, '')
+    .replace(/(^|[^\w])_(.+?)_(?=[^\w]|$)/g, '$1$2')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Sections of markdown under its heading hierarchy, shaped like the `content.sections` of a
+// page: [{ heading, level, path, paragraphs }] where paragraphs are markdown blocks
+function markdownSections(markdown) {
+  const sections = [];
+  let headingPath = [];
+  let current = { heading: null, level: 0, path: [], paragraphs: [] };
+  sections.push(current);
+
+  for (const block of markdownBlocks(markdown)) {
+    const heading = block.match(/^(#{1,6})\s+(.+)$/);
+    if (heading) {
+      const level = heading[1].length;
+      const text = markdownPlainText(block);
+      headingPath = headingPath.filter(entry => entry.level < level);
+      headingPath.push({ level, text });
+      current = { heading: text, level, path: headingPath.map(entry => entry.text), paragraphs: [] };
+      sections.push(current);
+      continue;
+    }
+    current.paragraphs.push(block);
+  }
+
+  return sections.filter(section => section.paragraphs.length > 0);
+}
+
+// Markdown with its headings moved `levels` down (at most to h6), to nest it in another document
+function shiftHeadings(markdown, levels) {
+  return markdownBlocks(markdown)
+    .map(block => block.replace(/^(#{1,6})(\s)/, (match, hashes, space) => `${'#'.repeat(Math.min(6, hashes.length + levels))}${space}`))
+    .join('\n\n');
+}
+
+// Markdown without the blocks, list items and table rows for which `isRemoved(plainText)` is true
+function stripMarkdownBlocks(markdown, isRemoved) {
+  const kept = [];
+  for (const block of markdownBlocks(markdown)) {
+    if (FENCE.test(block)) {
+      const code = block.split('\n').slice(1, -1).join('\n');
+      if (!isRemoved(code)) kept.push(block);
+      continue;
+    }
+    const plainText = block.split('\n').map(markdownPlainText).filter(Boolean).join(' ');
+    if (isRemoved(plainText)) continue;
+
+    const lines = block.split('\n');
+    const isTable = lines.length > 1 && /^\|(\s*:?-{3,}:?\s*\|)+$/.test(lines[1].trim());
+    const isList = /^\s*([-*+]|\d+\.)\s/.test(lines[0]);
+    if (!isTable && !isList) {
+      kept.push(block);
+      continue;
+    }
+
+    // Header and separator rows stay with the table
+    const remaining = lines.filter((line, i) => (isTable && i < 2) || !isRemoved(markdownPlainText(line)));
+    if (remaining.length > (isTable ? 2 : 0)) kept.push(remaining.join('\n'));
+  }
+  return kept.join('\n\n');
+}
+
+module.exports = {
+  htmlToMarkdown,
+  markdownSections,
+  markdownPlainText,
+  shiftHeadings,
+  stripMarkdownBlocks
+};
@@ -0,0 +1,152 @@
+// Extraction profile endpoints, mounted at /api/profiles
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { validateProfile } = require('./validators');
+const { matchProfile, profilePageType } = require('./profiles');
+
+const router = express.Router();
+
+// This will be set by the main server
+let profileStore;
+
+const PROFILE_FIELDS = ['name', 'hostPattern', 'contentSelector', 'removeSelectors', 'qa', 'pageTypes', 'enabled'];
+
+// Another profile already using `hostPattern`, if any
+async function findConflict(hostPattern, profileId = null) {
+  const profiles = await profileStore.list();
+  return profiles.find(profile => profile.hostPattern === hostPattern && profile.profileId !== profileId) || null;
+}
+
+// Create a profile
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid profile', details: error.message });
+    }
+
+    const conflict = await findConflict(value.hostPattern);
+    if (conflict) {
+      return res.status(409).json({ error: 'A profile already exists for this host pattern', profileId: conflict.profileId });
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      profileId: uuidv4(),
+      name: value.name || value.hostPattern,
+      hostPattern: value.hostPattern,
+      contentSelector: value.contentSelector || null,
+      removeSelectors: value.removeSelectors || [],
+      qa: value.qa || null,
+      pageTypes: value.pageTypes || [],
+      enabled: value.enabled !== false,
+      createdAt: now,
+      updatedAt: now
+    };
+    await profileStore.set(profile.profileId, profile);
+
+    res.status(201).json(profile);
+  } catch (error) {
+    console.error('Error creating profile:', error);
+    res.status(500).json({ error: 'Failed to create profile' });
+  }
+});
+
+// List profiles
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await profileStore.list();
+    res.json({ profiles });
+  } catch (error) {
+    console.error('Error listing profiles:', error);
+    res.status(500).json({ error: 'Failed to list profiles' });
+  }
+});
+
+// The profile a scan would apply to a URL, and the page type it sets for it
+router.get('/match', async (req, res) => {
+  try {
+    const { url } = req.query;
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ error: 'An http(s) url query parameter is required' });
+    }
+
+    const profile = matchProfile(await profileStore.list(), url);
+    res.json({
+      url,
+      profile,
+      pageType: profile ? profilePageType(profile, url) : null
+    });
+  } catch (error) {
+    console.error('Error matching profile:', error);
+    res.status(500).json({ error: 'Failed to match profile' });
+  }
+});
+
+// Get a profile
+router.get('/:profileId', async (req, res) => {
+  try {
+    const profile = await profileStore.get(req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Error retrieving profile:', error);
+    res.status(500).json({ error: 'Failed to retrieve profile' });
+  }
+});
+
+// Update a profile
+router.patch('/:profileId', async (req, res) => {
+  try {
+    const { error, value } = validateProfile(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error: 'Invalid profile', details: error.message });
+    }
+
+    if (value.hostPattern !== undefined) {
+      const conflict = await findConflict(value.hostPattern, req.params.profileId);
+      if (conflict) {
+        return res.status(409).json({ error: 'A profile already exists for this host pattern', profileId: conflict.profileId });
+      }
+    }
+
+    const changes = {};
+    for (const field of PROFILE_FIELDS) {
+      if (value[field] !== undefined) changes[field] = value[field];
+    }
+    changes.updatedAt = new Date().toISOString();
+
+    const profile = await profileStore.update(req.params.profileId, changes);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Delete a profile; scans it was applied to are kept
+router.delete('/:profileId', async (req, res) => {
+  try {
+    const deleted = await profileStore.delete(req.params.profileId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json({ profileId: req.params.profileId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    res.status(500).json({ error: 'Failed to delete profile' });
+  }
+});
+
+// Function to set the profile store reference from main server
+router.setProfileStore = (store) => {
+  profileStore = store;
+};
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// Per-site extraction profiles
+//
+// A profile holds CSS selector rules for the sites whose layout the generic extraction gets
+// wrong. It applies to the hosts matched by its host pattern: `example.com` (with or without
+// "www."), or `*.example.com` for every subdomain. An exact host wins over a wildcard, and a
+// longer wildcard over a shorter one.
+
+const { URL } = require('url');
+const { compilePattern } = require('./url-rules');
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeHost(host) {
+  return (host || '').toLowerCase().replace(/^www\./, '');
+}
+
+// How specifically `pattern` matches `hostname`: 0 when it doesn't
+function hostSpecificity(pattern, hostname) {
+  const host = normalizeHost(hostname);
+  const normalized = normalizeHost(pattern);
+  if (normalized.startsWith('*.')) {
+    const suffix = normalized.slice(1);
+    return host.endsWith(suffix) && host.length > suffix.length ? normalized.length : 0;
+  }
+  // Exact hosts rank above any wildcard
+  return host === normalized ? 1000 + normalized.length : 0;
+}
+
+// The enabled profile that matches the host of `url` most specifically, or null
+function matchProfile(profiles, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+
+  let best = null;
+  let bestSpecificity = 0;
+  for (const profile of profiles || []) {
+    if (profile.enabled === false) continue;
+    const specificity = hostSpecificity(profile.hostPattern, hostname);
+    if (specificity > bestSpecificity) {
+      best = profile;
+      bestSpecificity = specificity;
+    }
+  }
+  return best;
+}
+
+// The page type of the first page type rule whose URL pattern matches `url`, or null
+function profilePageType(profile, url) {
+  const parsed = new URL(url);
+  for (const rule of profile.pageTypes || []) {
+    if (compilePattern(rule.pattern).test(parsed)) return rule.pageType;
+  }
+  return null;
+}
+
+// Q&A pairs from the profile's selectors. With an item selector, the question and answer are
+// looked up inside each item; without one, the nth question is paired with the nth answer.
+function extractProfileQA($, profile) {
+  const rule = profile.qa;
+  if (!rule || !rule.questionSelector || !rule.answerSelector) return [];
+
+  if (rule.itemSelector) {
+    return $(rule.itemSelector).map((i, item) => ({
+      question: cleanText($(item).find(rule.questionSelector).first().text()),
+      answer: cleanText($(item).find(rule.answerSelector).first().text())
+    })).get();
+  }
+
+  const answers = $(rule.answerSelector).toArray();
+  return $(rule.questionSelector).map((i, question) => ({
+    question: cleanText($(question).text()),
+    answer: answers[i] ? cleanText($(answers[i]).text()) : ''
+  })).get();
+}
+
+module.exports = {
+  matchProfile,
+  profilePageType,
+  extractProfileQA
+};
@@ -0,0 +1,278 @@
+// Question/answer pair extraction from FAQ markup
+//
+// Each method recognizes one way sites mark up FAQs. Methods run from the most to the least
+// explicit markup; a question found by several methods is kept once, with the method that
+// found it first.
+
+const cheerio = require('cheerio');
+
+const MAX_QUESTION_LENGTH = 300;
+
+// Accordion items of page builders and FAQ widgets (Elementor, Wix, themes): an item holds
+// a clickable title and a collapsible body
+const TOGGLE_ITEM_SELECTOR = [
+  '.elementor-accordion-item', '.elementor-toggle-item',
+  '[class*="accordion-item"]', '[class*="toggle-item"]', '[class*="faq-item"]', '[class*="collapsible-item"]',
+  '[data-hook*="faq-item"]', '[data-hook*="question-item"]'
+].join(', ');
+const TOGGLE_TITLE_SELECTOR = '.elementor-tab-title, [class*="title"], [class*="question"], [class*="header"], [data-hook*="question"], button, summary';
+const TOGGLE_BODY_SELECTOR = '.elementor-tab-content, [class*="content"], [class*="answer"], [class*="body"], [class*="panel"], [data-hook*="answer"]';
+
+// Menus also use expandable panels
+const NAVIGATION_SELECTOR = 'nav, header, footer, [role="navigation"], [role="menubar"], [role="menu"]';
+
+const QUESTION_START = /^(how|what|why|when|where|who|whom|which|whose|can|could|do|does|did|is|are|was|were|will|would|should|shall|may|might|must|have|has|am)\b/i;
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// JSON-LD answers may contain HTML
+function htmlToText(value) {
+  const text = typeof value === 'string' ? value : '';
+  return /<[a-z!/]/i.test(text) ? cleanText(cheerio.load(text).text()) : cleanText(text);
+}
+
+// Accordions hold any kind of content; only question-like titles are taken as FAQs
+function looksLikeQuestion(text) {
+  return text.includes('?') || QUESTION_START.test(text);
+}
+
+function elementById($, id) {
+  if (!id) return null;
+  const element = $(`[id="${id.replace(/["\\]/g, '\\$&')}"]`).first();
+  return element.length > 0 ? element : null;
+}
+
+// --- Methods ---
+
+function fromMicrodata($) {
+  const pairs = [];
+  $('[itemtype*="Question"]').each((i, elem) => {
+    const question = cleanText($(elem).find('[itemprop="name"]').first().text());
+    const answer = cleanText($(elem).find('[itemprop="acceptedAnswer"], [itemprop="text"]').first().text());
+    pairs.push({ question, answer });
+  });
+  return pairs;
+}
+
+// Every schema.org node in a JSON-LD block, including arrays and @graph members
+function schemaNodes(data) {
+  if (Array.isArray(data)) return data.flatMap(schemaNodes);
+  if (!data || typeof data !== 'object') return [];
+  return [data, ...schemaNodes(data['@graph'] || [])];
+}
+
+function hasType(node, type) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.includes(type);
+}
+
+function answerText(answer) {
+  const first = Array.isArray(answer) ? answer[0] : answer;
+  if (!first) return '';
+  return htmlToText(typeof first === 'string' ? first : first.text);
+}
+
+function fromJsonLd($, schemaData) {
+  const pairs = [];
+  for (const node of schemaNodes(schemaData)) {
+    if (!hasType(node, 'FAQPage') && !hasType(node, 'QAPage')) continue;
+
+    const questions = Array.isArray(node.mainEntity) ? node.mainEntity : [node.mainEntity];
+    for (const question of questions) {
+      if (!question || typeof question !== 'object') continue;
+      // QAPage questions may only have community answers
+      const answer = answerText(question.acceptedAnswer) || answerText(question.suggestedAnswer);
+      pairs.push({ question: htmlToText(question.name || question.text), answer });
+    }
+  }
+  return pairs;
+}
+
+function fromDetails($) {
+  const pairs = [];
+  $('details').each((i, details) => {
+    const summary = $(details).children('summary').first();
+    if (summary.length === 0) return;
+
+    const question = cleanText(summary.text());
+    if (!looksLikeQuestion(question)) return;
+
+    const body = $(details).clone();
+    body.children('summary').first().remove();
+    pairs.push({ question, answer: cleanText(body.text()) });
+  });
+  return pairs;
+}
+
+// WAI-ARIA accordions: a button with aria-expanded controls the panel holding the answer
+function fromAria($) {
+  const pairs = [];
+  $('[aria-expanded][aria-controls]').each((i, trigger) => {
+    if ($(trigger).attr('aria-haspopup') || $(trigger).closest(`details, ${NAVIGATION_SELECTOR}`).length > 0) return;
+
+    const question = cleanText($(trigger).text());
+    const panel = elementById($, ($(trigger).attr('aria-controls') || '').split(/\s+/)[0]);
+    if (panel && looksLikeQuestion(question)) {
+      pairs.push({ question, answer: cleanText(panel.text()) });
+    }
+  });
+  return pairs;
+}
+
+function fromToggles($) {
+  const pairs = [];
+
+  // Bootstrap collapse: the toggle names its target in data-(bs-)target or href
+  $('[data-toggle="collapse"], [data-bs-toggle="collapse"]').each((i, trigger) => {
+    if ($(trigger).closest(NAVIGATION_SELECTOR).length > 0) return;
+
+    const question = cleanText($(trigger).text());
+    const target = $(trigger).attr('data-bs-target') || $(trigger).attr('data-target') || $(trigger).attr('href') || '';
+    const panel = target.startsWith('#') ? elementById($, target.slice(1)) : null;
+    if (panel && looksLikeQuestion(question)) {
+      pairs.push({ question, answer: cleanText(panel.text()) });
+    }
+  });
+
+  $(TOGGLE_ITEM_SELECTOR).each((i, item) => {
+    // Only the innermost item of nested matches
+    if ($(item).find(TOGGLE_ITEM_SELECTOR).length > 0 || $(item).closest(NAVIGATION_SELECTOR).length > 0) return;
+
+    const title = $(item).find(TOGGLE_TITLE_SELECTOR).first();
+    if (title.length === 0) return;
+    // The body is a sibling of the title, not a wrapper around it or a part of it
+    const body = $(item).find(TOGGLE_BODY_SELECTOR)
+      .filter((j, elem) => elem !== title[0] && !$.contains(elem, title[0]) && !$.contains(title[0], elem))
+      .first();
+    const question = cleanText(title.text());
+    if (body.length > 0 && looksLikeQuestion(question)) {
+      pairs.push({ question, answer: cleanText(body.text()) });
+    }
+  });
+
+  return pairs;
+}
+
+function fromDefinitionLists($) {
+  const pairs = [];
+  $('dt').each((i, dt) => {
+    const dd = $(dt).next('dd');
+    if (dd.length > 0) {
+      pairs.push({ question: cleanText($(dt).text()), answer: cleanText(dd.text()) });
+    }
+  });
+  return pairs;
+}
+
+// h3-h5 questions followed by their answer inside FAQ-style containers
+function fromHeadings($) {
+  const pairs = [];
+  $('.faq, #faq, .qa, .qanda, .questions').find('h3, h4, h5').each((i, heading) => {
+    const question = cleanText($(heading).text());
+    const next = $(heading).next('p, div');
+    if (next.length > 0 && question.includes('?')) {
+      pairs.push({ question, answer: cleanText(next.text()) });
+    }
+  });
+  return pairs;
+}
+
+const QA_METHODS = [
+  { name: 'json-ld', extract: fromJsonLd },
+  { name: 'microdata', extract: fromMicrodata },
+  { name: 'details', extract: fromDetails },
+  { name: 'aria', extract: fromAria },
+  { name: 'toggle', extract: fromToggles },
+  { name: 'definition-list', extract: fromDefinitionLists },
+  { name: 'heading', extract: fromHeadings }
+];
+
+// Questions that differ only in case, spacing or closing punctuation are the same question
+function questionKey(question) {
+  return question.toLowerCase().replace(/[\s?!.:]+$/, '').replace(/\s+/g, ' ');
+}
+
+// Returns [{ question, answer, method }]. `schemaData` is the page's parsed JSON-LD blocks;
+// `methods` replaces QA_METHODS, e.g. to run a site's own rules first.
+function extractQAPairs($, schemaData = [], methods = QA_METHODS) {
+  const seen = new Set();
+  const qaItems = [];
+
+  for (const { name, extract } of methods) {
+    for (const { question, answer } of extract($, schemaData)) {
+      if (!question || !answer || question === answer || question.length > MAX_QUESTION_LENGTH) continue;
+
+      const key = questionKey(question);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      qaItems.push({ question, answer, method: name });
+    }
+  }
+
+  return qaItems;
+}
+
+// --- Synthesis from headings ---
+
+// Headings phrased the way a reader asks ("How do I…", "Can I…", "What is…")
+const READER_QUESTION = /^(how (do|can|to|does|should|long|much|many|often)|(can|do|does|should|will|may) (i|we|you)|what (is|are|does|happens|if)|why (is|are|does|do|can)|where (is|are|can|do)|when (is|are|can|do|will|should))\b/i;
+
+const MIN_ANSWER_WORDS = 5;
+
+// Headings that read as questions become questions answered by the content of their section,
+// including subsections. `sections` are the page's `content.sections`, `qaItems` the pairs
+// found in markup, which win over synthesized ones. Returns
+// [{ question, answer, method, synthesized, confidence, anchor, headingPath }].
+function synthesizeQAPairs(sections, pageUrl, qaItems = []) {
+  const seen = new Set(qaItems.map(qa => questionKey(qa.question)));
+  const synthesized = [];
+
+  sections.forEach((section, index) => {
+    const question = cleanText(section.heading);
+    if (!question || question.length > MAX_QUESTION_LENGTH || !looksLikeQuestion(question)) return;
+
+    const key = questionKey(question);
+    if (seen.has(key)) return;
+
+    // The section's own text followed by that of its subsections
+    const paragraphs = [...section.paragraphs];
+    for (const next of sections.slice(index + 1)) {
+      if (next.level <= section.level) break;
+      paragraphs.push(...next.paragraphs);
+    }
+    const answer = cleanText(paragraphs.join(' '));
+    const answerWords = answer.split(' ').length;
+    if (answerWords < MIN_ANSWER_WORDS) return;
+
+    seen.add(key);
+    synthesized.push({
+      question,
+      answer,
+      method: 'heading-section',
+      synthesized: true,
+      confidence: synthesisConfidence(question, answerWords),
+      anchor: section.anchor ? `${pageUrl.split('#')[0]}#${section.anchor}` : pageUrl,
+      headingPath: section.path
+    });
+  });
+
+  return synthesized;
+}
+
+// 0-1: how likely the heading is a real question and its section a focused answer to it
+function synthesisConfidence(question, answerWords) {
+  let confidence = 0.3;
+  if (question.trim().endsWith('?')) confidence += 0.3;
+  if (READER_QUESTION.test(question)) confidence += 0.2;
+  if (answerWords >= 20 && answerWords <= 300) confidence += 0.2;
+  else if (answerWords > 800) confidence -= 0.1;
+  return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+}
+
+module.exports = {
+  QA_METHODS,
+  extractQAPairs,
+  synthesizeQAPairs
+};
@@ -0,0 +1,145 @@
+// robots.txt parsing and matching (RFC 9309)
+
+class RobotsTxt {
+  constructor(content = '') {
+    this.groups = [];
+    this.sitemaps = [];
+    this.parse(content);
+  }
+
+  parse(content) {
+    let group = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(content).split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!group || !lastWasAgent) {
+          group = { userAgents: [], rules: [], crawlDelay: null };
+          this.groups.push(group);
+        }
+        group.userAgents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+
+      if (field === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+        continue;
+      }
+
+      if (!group) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means "allow everything" and adds no rule
+        if (value) {
+          group.rules.push({ type: field, path: value, pattern: compileRulePattern(value) });
+        }
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) group.crawlDelay = delay;
+      }
+    }
+  }
+
+  // Product token of a User-Agent header, e.g. "RAG-Collector" for "RAG-Collector/1.0 (...)"
+  static productToken(userAgent) {
+    return String(userAgent || '').split(/[\/\s]/)[0].toLowerCase();
+  }
+
+  // Rules of every group naming our product token, falling back to the "*" groups
+  getGroupsFor(userAgent) {
+    const token = RobotsTxt.productToken(userAgent);
+    const specific = this.groups.filter(group => group.userAgents.includes(token));
+    if (specific.length > 0) return specific;
+    return this.groups.filter(group => group.userAgents.includes('*'));
+  }
+
+  // Returns the matching rule (or null) that decides access to the given URL
+  match(url, userAgent) {
+    let path;
+    try {
+      const urlObj = new URL(url);
+      path = urlObj.pathname + urlObj.search;
+    } catch {
+      return null;
+    }
+
+    // robots.txt is always accessible
+    if (path === '/robots.txt') return null;
+
+    let decidingRule = null;
+    for (const group of this.getGroupsFor(userAgent)) {
+      for (const rule of group.rules) {
+        if (!rule.pattern.test(path) && !rule.pattern.test(decodePath(path))) continue;
+
+        // Longest match wins; on a tie Allow beats Disallow
+        if (!decidingRule ||
+            rule.path.length > decidingRule.path.length ||
+            (rule.path.length === decidingRule.path.length && rule.type === 'allow')) {
+          decidingRule = rule;
+        }
+      }
+    }
+
+    return decidingRule;
+  }
+
+  isAllowed(url, userAgent) {
+    const rule = this.match(url, userAgent);
+    return !rule || rule.type === 'allow';
+  }
+
+  // Crawl-delay in seconds for our user agent, or null when none is set
+  getCrawlDelay(userAgent) {
+    const delays = this.getGroupsFor(userAgent)
+      .map(group => group.crawlDelay)
+      .filter(delay => delay !== null);
+    return delays.length > 0 ? Math.max(...delays) : null;
+  }
+
+  // Plain summary of the groups, without the compiled patterns
+  toJSON() {
+    return {
+      groups: this.groups.map(group => ({
+        userAgents: group.userAgents,
+        rules: group.rules.map(({ type, path }) => ({ type, path })),
+        crawlDelay: group.crawlDelay
+      })),
+      sitemaps: this.sitemaps
+    };
+  }
+}
+
+// Represents "everything is allowed" (missing robots.txt) and "nothing is allowed" (unreachable)
+RobotsTxt.allowAll = () => new RobotsTxt('');
+RobotsTxt.disallowAll = () => new RobotsTxt('User-agent: *\nDisallow: /');
+
+function compileRulePattern(path) {
+  const anchored = path.endsWith('$');
+  const body = anchored ? path.slice(0, -1) : path;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + source + (anchored ? '$' : ''));
+}
+
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+module.exports = RobotsTxt;
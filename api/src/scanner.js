@@ -1,7 +1,37 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
 const { URL } = require('url');
+const RobotsTxt = require('./robots');
+const HostRateLimiter = require('./host-rate-limiter');
+const { chunkPage, normalizeChunkingOptions, getSections } = require('./chunker');
+const { htmlToMarkdown, shiftHeadings } = require('./markdown');
+const { browserPool } = require('./browser-pool');
+const { UrlRules } = require('./url-rules');
+const { Frontier, START_SCORE, scoreLink, scoreSeed } = require('./frontier');
+const AdvancedWebsiteMapper = require('./advanced-mapper');
+const { getDocumentType, extractDocument } = require('./document-extractor');
+const { QA_METHODS, extractQAPairs, synthesizeQAPairs } = require('./qa-extractor');
+const { matchProfile, profilePageType, extractProfileQA } = require('./profiles');
+const { getExtractor, runExtractors, extractedText } = require('./extractors');
+const { extractAlternates, detectLanguage, normalizeDocumentText, groupTranslations } = require('./language');
+const {
+  DEFAULT_CONTENT_DETECTION,
+  DEFAULT_BOILERPLATE_THRESHOLD,
+  removeBoilerplateElements,
+  detectMainContent,
+  findRepeatedBlocks,
+  stripBlocks
+} = require('./content-detector');
+
+const RENDER_MODES = ['static', 'browser', 'auto'];
+
+// In auto mode, static pages with less visible text than this are rendered in the browser
+const AUTO_RENDER_MIN_TEXT = 200;
+
+// Upper bound on URLs taken from sitemaps and feeds, so huge sitemaps can't exhaust memory
+const MAX_SEED_URLS = 10000;
 
 class WebsiteScanner extends EventEmitter {
   constructor(options = {}) {
@@ -10,14 +40,50 @@ class WebsiteScanner extends EventEmitter {
       maxPages: options.maxPages || 50,
       maxDepth: options.maxDepth || 3,
       delay: options.delay || 500,
-      minQualityScore: options.minQualityScore || 30,
+      concurrency: Math.max(1, options.concurrency || 1),
+      burst: options.burst || 1,
+      checkpointInterval: options.checkpointInterval || 10,
+      minQualityScore: options.minQualityScore ?? 30,
       pageTypes: options.pageTypes || null,
+      languages: options.languages || null,
       includeContent: options.includeContent !== false,
+      includeDocuments: options.includeDocuments === true,
+      seedFromSitemaps: options.seedFromSitemaps === true,
+      synthesizeQA: options.synthesizeQA === true,
+      contentDetection: options.contentDetection || DEFAULT_CONTENT_DETECTION,
+      boilerplateThreshold: options.boilerplateThreshold || DEFAULT_BOILERPLATE_THRESHOLD,
+      profiles: options.profiles || [],
+      maxDocumentSize: options.maxDocumentSize || 10 * 1024 * 1024,
+      scope: options.scope || 'host',
+      scopePath: options.scopePath || null,
+      includePatterns: options.includePatterns || [],
+      excludePatterns: options.excludePatterns || [],
+      useDefaultExcludes: options.useDefaultExcludes !== false,
+      respectRobotsTxt: options.respectRobotsTxt !== false,
+      retries: options.retries !== undefined ? options.retries : 2,
+      retryBaseDelay: options.retryBaseDelay || 1000,
+      retryMaxDelay: options.retryMaxDelay || 30000,
+      render: RENDER_MODES.includes(options.render) ? options.render : 'static',
+      renderTimeout: options.renderTimeout || 30000,
       userAgent: options.userAgent || 'RAG-Collector/1.0 (AI Training Data Collection)'
     };
     
     this.visited = new Set();
-    this.queue = [];
+    this.robotsCache = new Map();
+    this.skippedUrls = [];
+    this.failedUrls = [];
+    this.rateLimiter = null;
+    this.urlRules = null;
+    this.frontier = new Frontier();
+    this.seeds = null;
+    this.baseline = null;
+    this.boilerplate = new Map();
+    // Languages that hreflang alternates declare for URLs, so unwanted ones aren't fetched
+    this.knownLanguages = new Map();
+    this.activeItems = new Set();
+    this.queueWaiters = [];
+    this.stopRequested = null;
+    this.abortController = null;
     this.siteMap = new Map();
     this.pageRelationships = new Map();
     this.pagesScanned = 0;
@@ -55,7 +121,8 @@ class WebsiteScanner extends EventEmitter {
   
   shouldCrawl(url) {
     if (!url || this.visited.has(url)) return false;
-    if (!this.isInternalLink(url)) return false;
+    // Scope plus include/exclude patterns (account and checkout pages are excluded by default)
+    if (!this.urlRules.allows(url)) return false;
     
     const urlLower = url.toLowerCase();
     
@@ -67,68 +134,287 @@ class WebsiteScanner extends EventEmitter {
       '.woff', '.woff2', '.ttf', '.eot'
     ];
     
+    // PDF and Office Open XML files are crawled as documents when enabled
+    if (this.options.includeDocuments && getDocumentType(url)) {
+      return true;
+    }
+    
     // Check if URL ends with these extensions (more accurate)
     if (skipExtensions.some(ext => urlLower.endsWith(ext))) {
       return false;
     }
     
-    // Skip only truly problematic patterns
-    const skipPatterns = [
-      '/login', '/logout', '/signin', '/signup', '/register',
-      '/cart', '/checkout', '/payment',
-      '/wp-admin', '/_next/',
-      'mailto:', 'tel:', 'javascript:'
-    ];
-    
-    if (skipPatterns.some(pattern => urlLower.includes(pattern))) {
-      return false;
+    // Requested page types are prioritized by the frontier, never excluded here
+    return true;
+  }
+  
+  async getRobotsTxt(url) {
+    const origin = new URL(url).origin;
+    if (!this.robotsCache.has(origin)) {
+      // Cache the pending request so concurrent lookups share one fetch per host
+      this.robotsCache.set(origin, this.fetchRobotsTxt(origin));
     }
-    
-    // If page types filter is specified, prioritize those but don't exclude others
-    if (this.options.pageTypes && this.options.pageTypes.length > 0) {
-      const priorityPatterns = {
-        'FAQ': ['/faq', '/faqs', '/questions'],
-        'Documentation': ['/docs', '/documentation', '/manual', '/guide'],
-        'Support': ['/support', '/help', '/assistance', '/contact'],
-        'Guide': ['/guide', '/tutorial', '/how-to', '/getting-started'],
-        'API': ['/api', '/developer', '/reference'],
-        'Blog': ['/blog', '/news', '/articles', '/posts'],
-        'Changelog': ['/changelog', '/updates', '/release']
-      };
+    return this.robotsCache.get(origin);
+  }
+  
+  async fetchRobotsTxt(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.options.userAgent },
+        timeout: 10000,
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: () => true
+      });
       
-      // Check if URL matches priority patterns
-      for (const pageType of this.options.pageTypes) {
-        const patterns = priorityPatterns[pageType];
-        if (patterns && patterns.some(pattern => urlLower.includes(pattern))) {
-          return true; // Prioritize these
-        }
+      if (response.status >= 200 && response.status < 300) {
+        return new RobotsTxt(response.data);
       }
-      // Don't exclude other pages, just deprioritize them
+      
+      // 4xx means there are no restrictions; 5xx means the site is unreachable for now
+      if (response.status >= 400 && response.status < 500) {
+        return RobotsTxt.allowAll();
+      }
+      console.log(`robots.txt for ${origin} returned ${response.status}, treating site as disallowed`);
+      return RobotsTxt.disallowAll();
+    } catch (error) {
+      console.log(`robots.txt for ${origin} unreachable (${error.message}), treating site as disallowed`);
+      return RobotsTxt.disallowAll();
     }
+  }
+  
+  // Returns the robots.txt rule blocking the URL, or null when crawling is allowed
+  async checkRobots(url) {
+    if (!this.options.respectRobotsTxt) return null;
     
-    return true;
+    const robots = await this.getRobotsTxt(url);
+    const rule = robots.match(url, this.options.userAgent);
+    return rule && rule.type === 'disallow' ? rule : null;
+  }
+  
+  // Crawl-delay from robots.txt acts as a floor on the configured delay
+  async getCrawlDelay(url) {
+    if (!this.options.respectRobotsTxt) return this.options.delay;
+    
+    const robots = await this.getRobotsTxt(url);
+    const crawlDelay = robots.getCrawlDelay(this.options.userAgent);
+    return crawlDelay === null ? this.options.delay : Math.max(this.options.delay, crawlDelay * 1000);
+  }
+  
+  recordSkip(url, reason, detail = '') {
+    this.skippedUrls.push({ url, reason, detail });
+    this.emit('page', { url, status: 'skipped', skipReason: reason, detail });
+  }
+  
+  // Fetches the HTML for a page according to the render mode. With the page's record from a
+  // base scan (`previous`), static fetches are conditional and may return { notModified: true }.
+  async loadPage(url, previous = null) {
+    const documentType = this.options.includeDocuments ? getDocumentType(url) : null;
+    if (documentType) {
+      return this.loadDocument(url, documentType);
+    }
+    
+    if (this.options.render === 'browser') {
+      const html = await this.renderPage(url);
+      return html ? { html, rendered: true } : null;
+    }
+    
+    const response = await this.fetchPage(url, previous);
+    if (!response) return null;
+    
+    const { html, notModified, etag, lastModified } = response;
+    if (notModified || this.options.render !== 'auto' || !this.needsRendering(html)) {
+      return { html, rendered: false, notModified, etag, lastModified };
+    }
+    
+    // Keep the static HTML if the browser can't do better
+    console.log(`  Little static text, rendering in browser: ${url}`);
+    const rendered = await this.renderPage(url, { recordFailure: false });
+    return rendered
+      ? { html: rendered, rendered: true, etag, lastModified }
+      : { html, rendered: false, etag, lastModified };
   }
   
-  async fetchPage(url) {
+  // Downloads a PDF or Office document and converts it to HTML for parseHtml
+  async loadDocument(url, type) {
+    const buffer = await this.withRetries(url, async () => {
+      try {
+        const response = await axios.get(url, {
+          headers: { 'User-Agent': this.options.userAgent },
+          responseType: 'arraybuffer',
+          timeout: 30000,
+          maxRedirects: 5,
+          maxContentLength: this.options.maxDocumentSize,
+          signal: this.abortController?.signal
+        });
+        return Buffer.from(response.data);
+      } catch (error) {
+        if (!error.response && /maxContentLength/.test(error.message)) {
+          const tooLarge = new Error(`Document is larger than ${Math.round(this.options.maxDocumentSize / 1024)} KB`);
+          tooLarge.code = 'DOCUMENT_TOO_LARGE';
+          throw tooLarge;
+        }
+        throw error;
+      }
+    });
+    if (!buffer) return null;
+    
     try {
+      const document = await extractDocument(buffer, type, url);
+      return {
+        html: document.html,
+        rendered: false,
+        document: { type, size: buffer.length, pageCount: document.pageCount }
+      };
+    } catch (error) {
+      console.error(`Failed to extract ${url}:`, error.message);
+      this.failedUrls.push({ url, statusCode: null, error: `Could not extract ${type} document: ${error.message}`, attempts: 1 });
+      return null;
+    }
+  }
+  
+  // Client-side rendered apps ship an almost empty body
+  needsRendering(html) {
+    if (typeof html !== 'string') return false;
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template').remove();
+    return $('body').text().replace(/\s+/g, ' ').trim().length < AUTO_RENDER_MIN_TEXT;
+  }
+  
+  // Returns { html, notModified, etag, lastModified }, or null when the page couldn't be fetched.
+  // `previous` supplies the validators for If-None-Match / If-Modified-Since.
+  async fetchPage(url, previous = null) {
+    const headers = {
+      'User-Agent': this.options.userAgent,
+      'Accept': 'text/html,application/xhtml+xml'
+    };
+    if (previous?.etag) headers['If-None-Match'] = previous.etag;
+    if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+    
+    return this.withRetries(url, async () => {
       const response = await axios.get(url, {
-        headers: {
-          'User-Agent': this.options.userAgent,
-          'Accept': 'text/html,application/xhtml+xml'
-        },
+        headers,
         timeout: 10000,
-        maxRedirects: 5
+        maxRedirects: 5,
+        signal: this.abortController?.signal,
+        validateStatus: status => (status >= 200 && status < 300) || (previous !== null && status === 304)
       });
+      return {
+        html: response.status === 304 ? null : response.data,
+        notModified: response.status === 304,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
+      };
+    });
+  }
+  
+  async renderPage(url, options = {}) {
+    return this.withRetries(url, () => browserPool.withPage(async (page) => {
+      // Cancelling the scan closes the tab, which aborts the navigation
+      const signal = this.abortController?.signal;
+      const onAbort = () => page.close().catch(() => {});
+      signal?.addEventListener('abort', onAbort, { once: true });
       
-      return response.data;
-    } catch (error) {
-      console.error(`Failed to fetch ${url}:`, error.message);
-      return null;
+      try {
+        await page.setUserAgent(this.options.userAgent);
+        const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: this.options.renderTimeout });
+        
+        // Shaped like an axios error so the retry logic treats both alike
+        if (response && response.status() >= 400) {
+          const error = new Error(`Request failed with status code ${response.status()}`);
+          error.response = { status: response.status(), headers: response.headers() };
+          throw error;
+        }
+        
+        return await page.content();
+      } finally {
+        signal?.removeEventListener('abort', onAbort);
+      }
+    }), options);
+  }
+  
+  // Runs `request` with backoff; pages that still fail go to failedUrls unless recordFailure is false
+  async withRetries(url, request, options = {}) {
+    const maxAttempts = this.options.retries + 1;
+    let lastError = null;
+    let attempt = 0;
+    
+    while (attempt < maxAttempts) {
+      attempt++;
+      try {
+        return await request();
+      } catch (error) {
+        lastError = error;
+        if (axios.isCancel(error) || this.abortController?.signal.aborted) return null;
+        if (attempt >= maxAttempts || !this.isRetryableError(error)) break;
+        
+        const retryAfter = this.getRetryAfter(error);
+        if (retryAfter !== null && retryAfter > this.options.retryMaxDelay) {
+          lastError = new Error(`Retry-After of ${Math.round(retryAfter / 1000)}s exceeds retry limit (${error.message})`);
+          lastError.response = error.response;
+          break;
+        }
+        
+        const wait = Math.max(retryAfter || 0, this.getBackoffDelay(attempt));
+        
+        // Slow down every worker hitting this host, not just this request
+        if (this.rateLimiter && retryAfter !== null) {
+          this.rateLimiter.pause(new URL(url).host, wait);
+        }
+        
+        console.log(`  Retrying ${url} in ${wait}ms (attempt ${attempt + 1}/${maxAttempts}): ${error.message}`);
+        await this.delay(wait);
+        // A retry is another request to the host, so it waits for its turn like any other
+        if (this.rateLimiter) {
+          await this.rateLimiter.acquire(new URL(url).host, await this.getCrawlDelay(url));
+        }
+        if (this.abortController?.signal.aborted) return null;
+      }
+    }
+    
+    console.error(`Failed to fetch ${url}:`, lastError.message);
+    if (options.recordFailure === false) return null;
+    
+    this.failedUrls.push({
+      url,
+      statusCode: lastError.response?.status || null,
+      error: lastError.message,
+      attempts: attempt
+    });
+    return null;
+  }
+  
+  // Network errors, 429 and 5xx are worth retrying; other 4xx responses are final
+  isRetryableError(error) {
+    if (!error.response) {
+      return !['ENOTFOUND', 'ERR_INVALID_URL', 'ERR_FR_TOO_MANY_REDIRECTS', 'BROWSER_LAUNCH_FAILED', 'DOCUMENT_TOO_LARGE'].includes(error.code);
     }
+    const status = error.response.status;
+    return status === 429 || (status >= 500 && status !== 501);
+  }
+  
+  // Retry-After header in milliseconds (delta-seconds or HTTP date), or null
+  getRetryAfter(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) return null;
+    
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+  
+  // Exponential backoff with jitter in the upper half of the window
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.options.retryMaxDelay, this.options.retryBaseDelay * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
   }
   
   parseHtml(html, currentUrl) {
     const $ = cheerio.load(html);
+    // Without bidi marks, tatweel and presentation forms, so RTL text compares equal however it was encoded
+    normalizeDocumentText($);
     
     // Extract title
     const title = $('title').text().trim() || 'Untitled';
@@ -140,6 +426,7 @@ class WebsiteScanner extends EventEmitter {
     // Extract links BEFORE modifying the DOM
     const links = [];
     const linkSet = new Set(); // Use a Set to avoid duplicates
+    const linkTexts = {}; // First non-empty anchor text per link, used to prioritize the crawl
     $('a[href]').each((i, elem) => {
       const href = $(elem).attr('href');
       if (href && !href.startsWith('#') && !href.startsWith('javascript:')) {
@@ -150,6 +437,11 @@ class WebsiteScanner extends EventEmitter {
             linkSet.add(normalized);
             links.push(normalized);
           }
+          if (normalized && !linkTexts[normalized]) {
+            const text = ($(elem).text() || $(elem).attr('aria-label') || $(elem).attr('title') || '')
+              .replace(/\s+/g, ' ').trim().substring(0, 200);
+            if (text) linkTexts[normalized] = text;
+          }
         } catch (error) {
           // Log the error for debugging but continue
           console.error(`Failed to process link: ${href} - ${error.message}`);
@@ -157,12 +449,28 @@ class WebsiteScanner extends EventEmitter {
       }
     });
     
+    // Translations declared with hreflang
+    const alternates = this.extractAlternates($, currentUrl);
+    
+    // Extract schema.org data before content extraction removes the scripts
+    const schemaData = this.extractSchemaData($);
+    
+    // Run the registered custom extractors on the page as loaded
+    const { extracted, errors: extractorErrors } = this.runCustomExtractors($, currentUrl);
+    
+    // Apply the site's extraction profile, if one matches
+    const profile = matchProfile(this.options.profiles, currentUrl);
+    const profileQA = profile ? this.applyProfile($, profile) : [];
+    
     // Extract structured content (this modifies the DOM)
-    const fullContent = this.extractFullContent($);
+    const fullContent = this.extractFullContent($, currentUrl, profile);
     const wordCount = fullContent.text.split(/\s+/).filter(word => word.length > 0).length;
     
+    // Detect the page language from its markup, falling back to the text
+    const { language, source: languageSource, direction } = detectLanguage($, currentUrl, alternates, fullContent.text);
+    
     // Extract Q&A pairs
-    const qaItems = this.extractQAPairs($);
+    const qaItems = this.withSynthesizedQA(this.extractQAPairs($, schemaData, profileQA), fullContent.sections, currentUrl);
     
     // Extract heading hierarchy
     const headingStructure = this.extractHeadingStructure($);
@@ -173,15 +481,12 @@ class WebsiteScanner extends EventEmitter {
     // Extract tables and lists
     const structuredData = this.extractStructuredData($);
     
-    // Classify page type
-    const pageType = this.classifyPageType(currentUrl, $);
+    // Classify page type, unless the profile sets it for this URL
+    const pageType = (profile && profilePageType(profile, currentUrl)) || this.classifyPageType(currentUrl, $);
     
     // Calculate content quality score
     const qualityScore = this.calculateQualityScore(fullContent, headingStructure, qaItems, pageType);
     
-    // Extract schema.org data
-    const schemaData = this.extractSchemaData($);
-    
     return {
       url: currentUrl,
       title,
@@ -190,35 +495,67 @@ class WebsiteScanner extends EventEmitter {
       content: fullContent,
       wordCount,
       links,
+      linkTexts,
       images: imageData.count,
       imageData,
       headings: headingStructure,
       pageType,
       qualityScore,
+      language,
+      languageSource,
+      direction,
+      ...(alternates.length > 0 && { alternates }),
       qaItems,
       structuredData,
       schemaData,
+      ...(profile && { profileId: profile.profileId }),
+      ...(Object.keys(extracted).length > 0 && { extracted }),
+      ...(extractorErrors.length > 0 && { extractorErrors }),
       depth: 0
     };
   }
   
-  extractFullContent($) {
-    // Remove non-content elements
-    $('script, style, nav, footer, header, .navigation, .menu, .sidebar, .advertisement').remove();
-    
-    // Find main content area
-    const contentSelectors = ['main', 'article', '.content', '#content', '.main-content', '[role="main"]'];
-    let mainContent = null;
-    
-    for (const selector of contentSelectors) {
-      mainContent = $(selector);
-      if (mainContent.length > 0) break;
+  // Runs the registered custom extractors (or those in `names`), logging the ones that fail
+  runCustomExtractors($, url, names = null) {
+    const result = runExtractors($, url, names);
+    for (const { extractor, error } of result.errors) {
+      console.error(`  Extractor ${extractor} failed on ${url}: ${error}`);
     }
-    
-    // Fallback to body if no main content area found
-    if (!mainContent || mainContent.length === 0) {
-      mainContent = $('body');
+    return result;
+  }
+  
+  // hreflang alternates with URLs normalized like crawled pages
+  extractAlternates($, pageUrl) {
+    return extractAlternates($, pageUrl)
+      .map(alternate => ({ ...alternate, url: this.normalizeUrl(alternate.url) }))
+      .filter(alternate => alternate.url);
+  }
+  
+  // Whether the scan's `languages` filter rules out a page in `language`; pages of unknown
+  // language are kept
+  isExcludedLanguage(language) {
+    return Boolean(this.options.languages && language && !this.options.languages.includes(language));
+  }
+  
+  // Removes the profile's strip selectors and returns the Q&A pairs its selectors find
+  applyProfile($, profile) {
+    for (const selector of profile.removeSelectors || []) {
+      $(selector).remove();
     }
+    return extractProfileQA($, profile);
+  }
+  
+  // `pageUrl` makes the links of the markdown absolute; a profile's content selector is tried
+  // before the contentDetection chain
+  extractFullContent($, pageUrl = null, profile = null) {
+    // Remove navigation, cookie banners, newsletter forms and other non-content elements
+    removeBoilerplateElements($);
+    
+    // Find main content area
+    const chain = profile && profile.contentSelector
+      ? [profile.contentSelector, ...this.options.contentDetection]
+      : this.options.contentDetection;
+    const { element: mainContent, strategy } = detectMainContent($, chain);
     
     // Extract paragraphs with context
     const paragraphs = [];
@@ -235,49 +572,77 @@ class WebsiteScanner extends EventEmitter {
     return {
       text: fullText,
       paragraphs: paragraphs,
-      cleanedHtml: mainContent.html()
+      sections: this.extractSections($, mainContent, fullText),
+      markdown: htmlToMarkdown($, mainContent, pageUrl),
+      cleanedHtml: mainContent.html(),
+      detectedBy: strategy
     };
   }
   
-  extractQAPairs($) {
-    const qaItems = [];
-    
-    // Method 1: Look for FAQ schema markup
-    $('[itemtype*="FAQPage"], [itemtype*="Question"]').each((i, elem) => {
-      const question = $(elem).find('[itemprop="name"]').text().trim();
-      const answer = $(elem).find('[itemprop="text"], [itemprop="acceptedAnswer"]').text().trim();
-      if (question && answer) {
-        qaItems.push({ question, answer });
+  // Groups the text blocks of the main content under the heading hierarchy they appear in
+  extractSections($, mainContent, fullText) {
+    const blockSelector = 'p, li, dd, dt, tr, blockquote, pre';
+    const sections = [];
+    let headingPath = [];
+    let current = { heading: null, level: 0, path: [], paragraphs: [] };
+    sections.push(current);
+    
+    mainContent.find(`h1, h2, h3, h4, h5, h6, ${blockSelector}`).each((i, elem) => {
+      if (/^h[1-6]$/.test(elem.name)) {
+        const text = $(elem).text().replace(/\s+/g, ' ').trim();
+        if (!text) return;
+        
+        const level = parseInt(elem.name.substring(1));
+        headingPath = headingPath.filter(heading => heading.level < level);
+        headingPath.push({ level, text });
+        current = { heading: text, level, path: headingPath.map(heading => heading.text), anchor: this.headingAnchor($, elem), paragraphs: [] };
+        sections.push(current);
+        return;
       }
-    });
-    
-    // Method 2: Look for common FAQ patterns
-    $('.faq, #faq, .qa, .qanda, .questions, dl').each((i, container) => {
-      // Check for dt/dd pattern
-      $(container).find('dt').each((j, dt) => {
-        const dd = $(dt).next('dd');
-        if (dd.length > 0) {
-          qaItems.push({
-            question: $(dt).text().trim(),
-            answer: dd.text().trim()
-          });
-        }
-      });
       
-      // Check for h3/h4 followed by div/p pattern
-      $(container).find('h3, h4, h5').each((j, heading) => {
-        const nextEl = $(heading).next('p, div');
-        const questionText = $(heading).text().trim();
-        if (nextEl.length > 0 && questionText.includes('?')) {
-          qaItems.push({
-            question: questionText,
-            answer: nextEl.text().trim()
-          });
-        }
-      });
+      // Nested blocks are already covered by their outermost block
+      if ($(elem).parents(blockSelector).length > 0) return;
+      
+      const text = elem.name === 'tr'
+        ? $(elem).find('th, td').map((j, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get().join(' | ')
+        : $(elem).text().replace(/\s+/g, ' ').trim();
+      if (text) current.paragraphs.push(text);
     });
     
-    return qaItems;
+    const withContent = sections.filter(section => section.paragraphs.length > 0);
+    
+    // Pages without block markup still get their text as a single section
+    if (withContent.length === 0 && fullText) {
+      return [{ heading: null, level: 0, path: [], paragraphs: [fullText] }];
+    }
+    return withContent;
+  }
+  
+  // Marked-up pairs, followed by pairs synthesized from question headings when synthesizeQA is on
+  withSynthesizedQA(qaItems, sections, url) {
+    const markedUp = qaItems.filter(qa => !qa.synthesized);
+    return this.options.synthesizeQA ? [...markedUp, ...synthesizeQAPairs(sections || [], url, markedUp)] : markedUp;
+  }
+  
+  // Fragment that links to a heading: its own id, an id or named anchor inside it, or an
+  // empty anchor right before it
+  headingAnchor($, heading) {
+    const candidates = [
+      $(heading),
+      $(heading).find('[id], a[name]').first(),
+      $(heading).prev('a[id], a[name]').filter((i, elem) => !$(elem).text().trim())
+    ];
+    for (const candidate of candidates) {
+      const anchor = candidate.attr('id') || candidate.attr('name');
+      if (anchor) return anchor;
+    }
+    return null;
+  }
+  
+  // `profileQA` are the pairs found by an extraction profile, which take precedence
+  extractQAPairs($, schemaData = this.extractSchemaData($), profileQA = []) {
+    const methods = profileQA.length > 0 ? [{ name: 'profile', extract: () => profileQA }, ...QA_METHODS] : QA_METHODS;
+    return extractQAPairs($, schemaData, methods);
   }
   
   extractHeadingStructure($) {
@@ -383,9 +748,10 @@ class WebsiteScanner extends EventEmitter {
     if (headings.hierarchy.length > 3) score += 15;
     if (headings.h2 > 2) score += 10;
     
-    // Q&A content score
-    if (qaItems.length > 0) score += 25;
-    if (qaItems.length > 5) score += 15;
+    // Q&A content score; synthesized pairs only restate the page's own sections
+    const markedUpQA = qaItems.filter(qa => !qa.synthesized);
+    if (markedUpQA.length > 0) score += 25;
+    if (markedUpQA.length > 5) score += 15;
     
     // Page type bonus
     const valuableTypes = ['FAQ', 'Documentation', 'Guide', 'Support', 'Help'];
@@ -394,6 +760,17 @@ class WebsiteScanner extends EventEmitter {
     return Math.min(100, score);
   }
   
+  // Documents rarely have telling URLs, so titles like "User Manual" also count as documentation
+  applyDocumentInfo(pageData, document) {
+    pageData.document = document;
+    
+    const name = `${pageData.title} ${pageData.url}`.toLowerCase();
+    if (pageData.pageType === 'Other' && /manual|handbook|guide|instructions|datasheet|data sheet|spec/.test(name)) {
+      pageData.pageType = 'Documentation';
+      pageData.qualityScore = this.calculateQualityScore(pageData.content, pageData.headings, pageData.qaItems, pageData.pageType);
+    }
+  }
+  
   classifyPageType(url, $) {
     const urlLower = url.toLowerCase();
     const title = $('title').text().toLowerCase() || '';
@@ -454,126 +831,511 @@ class WebsiteScanner extends EventEmitter {
     return 'Other';
   }
   
-  async crawl(url) {
-    this.visited.clear();
-    this.siteMap.clear();
-    this.pageRelationships.clear();
-    this.pagesScanned = 0;
+  // crawlOptions.checkpoint resumes a paused scan; crawlOptions.baseline (the pages of an
+  // earlier scan of the site) makes the scan incremental
+  async crawl(url, crawlOptions = {}) {
+    this.stopRequested = null;
+    this.abortController = new AbortController();
+    this.rateLimiter = new HostRateLimiter({ burst: this.options.burst });
+    this.activeItems = new Set();
+    this.queueWaiters = [];
+    this.pagesSinceCheckpoint = 0;
+    this.robotsCache.clear();
+    this.baseline = crawlOptions.baseline
+      ? new Map(crawlOptions.baseline.map(page => [page.url, page]))
+      : null;
+    // Boilerplate found by the base scan, already removed from its pages
+    this.boilerplate = new Map((crawlOptions.boilerplate || []).map(block => [block.key, block]));
+    
+    if (crawlOptions.checkpoint) {
+      // Continue a paused or interrupted scan where it left off
+      this.restoreCheckpoint(crawlOptions.checkpoint);
+    } else {
+      this.visited.clear();
+      this.siteMap.clear();
+      this.pageRelationships.clear();
+      this.skippedUrls = [];
+      this.failedUrls = [];
+      this.pagesScanned = 0;
+      this.seeds = null;
+      
+      this.startUrl = this.normalizeUrl(url);
+      if (!this.startUrl) {
+        throw new Error('Invalid URL provided');
+      }
+      
+      this.baseDomain = this.getBaseDomain(this.startUrl);
+      
+      // Initialize queue with start URL, ahead of any sitemap or baseline seed
+      this.frontier = new Frontier([{ url: this.startUrl, depth: 0, parent: null, score: START_SCORE }]);
+    }
+    
+    // Built from the URL as given, since normalizing drops the trailing slash of a directory
+    this.urlRules = new UrlRules(this.options, url || this.startUrl);
+    
+    if (!crawlOptions.checkpoint && this.baseline) {
+      this.seedFromBaseline();
+    }
+    if (!crawlOptions.checkpoint && this.options.seedFromSitemaps) {
+      await this.seedFrontier();
+    }
+    
+    // Bounded worker pool; per-host politeness is enforced by the rate limiter
+    const workers = [];
+    for (let i = 0; i < this.options.concurrency; i++) {
+      workers.push(this.runWorker());
+    }
+    await Promise.all(workers);
+    
+    // A paused scan has not seen all of its pages yet
+    let translations = null;
+    if (this.stopRequested !== 'paused') {
+      this.removeRepeatedBlocks();
+      translations = groupTranslations(Array.from(this.siteMap.values()));
+    }
     
-    this.startUrl = this.normalizeUrl(url);
-    if (!this.startUrl) {
-      throw new Error('Invalid URL provided');
+    // Calculate statistics
+    const statistics = this.calculateStatistics();
+    
+    return {
+      domain: this.baseDomain,
+      startUrl: this.startUrl,
+      pagesScanned: this.pagesScanned,
+      statistics,
+      pages: Array.from(this.siteMap.values()),
+      siteMap: Object.fromEntries(this.siteMap),
+      pageRelationships: Object.fromEntries(this.pageRelationships),
+      skippedUrls: this.skippedUrls,
+      failedUrls: this.failedUrls,
+      seeds: this.seeds,
+      boilerplate: this.stopRequested === 'paused' ? null : Array.from(this.boilerplate.values()),
+      translations,
+      changes: this.baseline ? this.getChanges() : null,
+      stopReason: this.stopRequested,
+      checkpoint: this.stopRequested === 'paused' ? this.getCheckpoint() : null
+    };
+  }
+  
+  // Stop taking new pages; pages already being fetched are finished first
+  pause() {
+    this.stopRequested = 'paused';
+    this.notifyQueue();
+  }
+  
+  // Stop immediately, aborting requests that are in flight
+  cancel() {
+    this.stopRequested = 'cancelled';
+    if (this.abortController) this.abortController.abort();
+    this.notifyQueue();
+  }
+  
+  // Removes text blocks repeated on most pages of the scan, such as footer text inside the
+  // content area, so they are not exported with every page
+  removeRepeatedBlocks() {
+    for (const block of findRepeatedBlocks(Array.from(this.siteMap.values()), this.options.boilerplateThreshold)) {
+      this.boilerplate.set(block.key, block);
     }
     
-    this.baseDomain = this.getBaseDomain(this.startUrl);
+    // Pages left with too little content no longer pass the quality bar
+    for (const [url, page] of this.siteMap) {
+      const stripped = this.stripBoilerplate(page);
+      if (stripped.qualityScore >= this.options.minQualityScore) {
+        this.siteMap.set(url, stripped);
+      } else {
+        this.siteMap.delete(url);
+        this.recordSkip(url, 'low-quality', `Quality score ${stripped.qualityScore} below ${this.options.minQualityScore} without repeated blocks`);
+      }
+    }
+  }
+  
+  stripBoilerplate(page) {
+    const stripped = stripBlocks(page, new Set(this.boilerplate.keys()));
+    if (stripped !== page) {
+      // Synthesized answers are re-read from the cleaned sections
+      stripped.qaItems = this.withSynthesizedQA(stripped.qaItems || [], stripped.content.sections, page.url);
+      stripped.qualityScore = this.calculateQualityScore(stripped.content, stripped.headings, stripped.qaItems, stripped.pageType);
+    }
+    return stripped;
+  }
+  
+  // Re-checks every page of the base scan, even ones no longer linked from anywhere.
+  // They rank below the start page, so it is always re-fetched first
+  seedFromBaseline() {
+    for (const page of this.baseline.values()) {
+      if (page.url === this.startUrl || !this.shouldCrawl(page.url)) continue;
+      const depth = Math.max(1, Math.min(page.depth || 1, this.options.maxDepth));
+      const score = scoreLink({ url: page.url, depth, parentQuality: page.qualityScore }, this.options.pageTypes);
+      this.frontier.push({ url: page.url, depth, parent: page.parent || null, score });
+    }
+  }
+  
+  // URLs by change status compared to the base scan. Base pages that were checked but not
+  // collected again (gone, failed, excluded or now below the quality bar) count as removed;
+  // ones the scan never got to are listed as unchecked.
+  getChanges() {
+    const changes = { added: [], changed: [], unchanged: [], removed: [], unchecked: [] };
+    for (const page of this.siteMap.values()) {
+      if (changes[page.changeStatus]) changes[page.changeStatus].push(page.url);
+    }
+    for (const url of this.baseline.keys()) {
+      if (this.siteMap.has(url)) continue;
+      const pending = !this.visited.has(url) && this.shouldCrawl(url);
+      changes[pending ? 'unchecked' : 'removed'].push(url);
+    }
+    return changes;
+  }
+  
+  // Fingerprint of what a page contributes to exports, ignoring markup-only changes
+  contentFingerprint(page) {
+    const qa = (page.qaItems || []).map(item => `${item.question}\n${item.answer}`).join('\n');
+    return crypto.createHash('sha256')
+      .update(`${page.title}\n${page.pageType}\n${page.content?.text || ''}\n${qa}`)
+      .digest('hex');
+  }
+  
+  // Adds the URLs listed in the site's sitemaps and RSS/Atom feeds to the frontier, so pages
+  // nothing links to are collected too. Sitemap priority and lastmod feed into their score.
+  async seedFrontier() {
+    this.emit('progress', {
+      progress: 0,
+      pagesScanned: 0,
+      currentUrl: this.startUrl,
+      queueSize: this.frontier.size,
+      message: 'Reading sitemaps and feeds...'
+    });
     
-    // Initialize queue with start URL
-    this.queue = [{ url: this.startUrl, depth: 0, parent: null }];
+    const mapper = new AdvancedWebsiteMapper({ userAgent: this.options.userAgent, timeout: 10000 });
+    const robots = this.options.respectRobotsTxt ? await this.getRobotsTxt(this.startUrl) : null;
+    const sitemapUrls = new Set(robots ? robots.sitemaps : []);
+    if (sitemapUrls.size === 0) {
+      await mapper.discoverDefaultSitemaps(this.startUrl);
+      mapper.sitemapUrls.forEach(sitemapUrl => sitemapUrls.add(sitemapUrl));
+    }
+    
+    const entries = [];
+    const seenSitemaps = new Set();
+    for (const sitemapUrl of sitemapUrls) {
+      if (this.stopRequested) return;
+      entries.push(...(await mapper.discoverFromSitemap(sitemapUrl, seenSitemaps)).map(entry => ({ ...entry, source: 'sitemap' })));
+    }
     
-    while (this.queue.length > 0 && this.pagesScanned < this.options.maxPages) {
-      const { url: currentUrl, depth, parent } = this.queue.shift();
+    // Feeds advertised by the start page
+    const html = await mapper.fetchPage(this.startUrl);
+    const feeds = typeof html === 'string' ? await mapper.discoverFromRSSFeeds(this.startUrl, html) : [];
+    for (const feedUrl of feeds) {
+      if (this.stopRequested) return;
+      entries.push(...(await mapper.discoverFromFeed(feedUrl)).map(entry => ({ ...entry, source: 'feed' })));
+    }
+    
+    let added = 0;
+    for (const entry of entries) {
+      if (added >= MAX_SEED_URLS) break;
+      const url = this.normalizeUrl(entry.url);
+      if (!url || url === this.startUrl || !this.shouldCrawl(url)) continue;
       
-      if (this.visited.has(currentUrl) || depth > this.options.maxDepth) {
-        continue;
+      const score = scoreSeed(entry, this.options.pageTypes);
+      if (this.frontier.push({ url, depth: 1, parent: null, score, source: entry.source })) {
+        added++;
       }
+    }
+    
+    this.seeds = {
+      sitemaps: seenSitemaps.size,
+      feeds: feeds.length,
+      urls: added
+    };
+    console.log(`Seeded ${added} URLs from ${seenSitemaps.size} sitemaps and ${feeds.length} feeds`);
+  }
+  
+  // Serializable crawl state. Pages still being processed are put back in the queue
+  // so that a scan resumed from this checkpoint fetches them again.
+  getCheckpoint() {
+    const pending = Array.from(this.activeItems);
+    const pendingUrls = new Set(pending.map(item => item.url));
+    const notPending = entry => !pendingUrls.has(entry.url);
+    
+    const pageRelationships = {};
+    for (const [parent, children] of this.pageRelationships) {
+      pageRelationships[parent] = children.filter(child => !pendingUrls.has(child));
+    }
+    
+    return {
+      startUrl: this.startUrl,
+      baseDomain: this.baseDomain,
+      queue: pending.map(({ url, depth, parent, score }) => ({ url, depth, parent, score })).concat(this.frontier.toArray()),
+      visited: Array.from(this.visited).filter(url => !pendingUrls.has(url)),
+      pages: Array.from(this.siteMap.values()).filter(notPending),
+      pageRelationships,
+      pagesScanned: this.pagesScanned - pending.filter(item => item.counted).length,
+      skippedUrls: this.skippedUrls.filter(notPending),
+      failedUrls: this.failedUrls.filter(notPending),
+      seeds: this.seeds,
+      createdAt: new Date().toISOString()
+    };
+  }
+  
+  restoreCheckpoint(checkpoint) {
+    this.startUrl = checkpoint.startUrl;
+    this.baseDomain = checkpoint.baseDomain;
+    this.frontier = new Frontier(checkpoint.queue);
+    this.visited = new Set(checkpoint.visited);
+    this.siteMap = new Map(checkpoint.pages.map(page => [page.url, page]));
+    this.pageRelationships = new Map(Object.entries(checkpoint.pageRelationships));
+    this.pagesScanned = checkpoint.pagesScanned;
+    this.skippedUrls = checkpoint.skippedUrls.slice();
+    this.failedUrls = checkpoint.failedUrls.slice();
+    this.seeds = checkpoint.seeds || null;
+  }
+  
+  async runWorker() {
+    while (!this.stopRequested && this.pagesScanned < this.options.maxPages) {
+      const item = this.frontier.pop();
       
-      this.visited.add(currentUrl);
-      this.pagesScanned++;
+      if (!item) {
+        // Other workers may still add links; stop only once nothing is in flight
+        if (this.activeItems.size === 0) break;
+        await this.waitForQueue();
+        continue;
+      }
       
-      // Track parent-child relationship
-      if (parent) {
-        if (!this.pageRelationships.has(parent)) {
-          this.pageRelationships.set(parent, []);
-        }
-        this.pageRelationships.get(parent).push(currentUrl);
+      this.activeItems.add(item);
+      try {
+        await this.processQueueItem(item);
+      } catch (error) {
+        console.error(`Failed to process ${item.url}:`, error.message);
+      } finally {
+        this.activeItems.delete(item);
+        this.notifyQueue();
       }
       
-      // Emit progress event
-      this.emit('progress', {
-        progress: Math.round((this.pagesScanned / this.options.maxPages) * 100),
-        pagesScanned: this.pagesScanned,
-        currentUrl,
-        message: `Scanning: ${currentUrl.substring(0, 50)}...`
+      if (++this.pagesSinceCheckpoint >= this.options.checkpointInterval && !this.stopRequested) {
+        this.pagesSinceCheckpoint = 0;
+        this.emit('checkpoint', this.getCheckpoint());
+      }
+    }
+  }
+  
+  waitForQueue() {
+    return new Promise(resolve => this.queueWaiters.push(resolve));
+  }
+  
+  notifyQueue() {
+    const waiters = this.queueWaiters;
+    this.queueWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+  
+  async processQueueItem(item) {
+    const { url: currentUrl, depth, parent } = item;
+
+    if (this.visited.has(currentUrl) || depth > this.options.maxDepth) {
+      return;
+    }
+    
+    this.visited.add(currentUrl);
+    
+    const blockingRule = await this.checkRobots(currentUrl);
+    if (blockingRule) {
+      console.log(`  Skipped by robots.txt (Disallow: ${blockingRule.path}): ${currentUrl}`);
+      this.recordSkip(currentUrl, 'robots.txt', `Disallow: ${blockingRule.path}`);
+      return;
+    }
+    
+    const knownLanguage = this.knownLanguages.get(currentUrl);
+    if (this.isExcludedLanguage(knownLanguage)) {
+      console.log(`  Skipped, hreflang language ${knownLanguage} not requested: ${currentUrl}`);
+      this.recordSkip(currentUrl, 'language', `hreflang ${knownLanguage}`);
+      return;
+    }
+    
+    // Another worker may have used up the page budget while robots.txt was checked
+    if (this.pagesScanned >= this.options.maxPages) {
+      return;
+    }
+    this.pagesScanned++;
+    item.counted = true;
+    const pageNumber = this.pagesScanned;
+    
+    // Track parent-child relationship
+    if (parent) {
+      if (!this.pageRelationships.has(parent)) {
+        this.pageRelationships.set(parent, []);
+      }
+      this.pageRelationships.get(parent).push(currentUrl);
+    }
+    
+    // Emit progress event
+    this.emit('progress', {
+      progress: Math.round((this.pagesScanned / this.options.maxPages) * 100),
+      pagesScanned: this.pagesScanned,
+      currentUrl,
+      queueSize: this.frontier.size,
+      message: `Scanning: ${currentUrl.substring(0, 50)}...`
+    });
+    
+    console.log(`[${pageNumber}/${this.options.maxPages}] Crawling (depth ${depth}): ${currentUrl}`);
+    
+    // Wait for this host's turn before fetching
+    const host = new URL(currentUrl).host;
+    await this.rateLimiter.acquire(host, await this.getCrawlDelay(currentUrl));
+    if (this.stopRequested === 'cancelled') return;
+    
+    // Fetch and parse page
+    // Pages missing from the base scan are fetched unconditionally
+    const previous = this.baseline?.get(currentUrl) ?? null;
+    const loaded = await this.loadPage(currentUrl, previous);
+    if (!loaded) {
+      console.log(`  Failed to fetch page`);
+      const failure = this.failedUrls.find(failed => failed.url === currentUrl);
+      if (failure) {
+        this.emit('page', { url: currentUrl, status: 'failed', statusCode: failure.statusCode, error: failure.error });
+      }
+      return;
+    }
+    
+    const contentHash = loaded.notModified
+      ? previous.contentHash
+      : crypto.createHash('sha256').update(loaded.html).digest('hex');
+    
+    let pageData;
+    if (previous && (loaded.notModified || (previous.contentHash && previous.contentHash === contentHash))) {
+      // Unchanged since the base scan, so its parsed record is reused
+      console.log(`  Unchanged since base scan${loaded.notModified ? ' (304)' : ''}`);
+      pageData = { ...previous, changeStatus: 'unchanged' };
+      // The base scan may have been run with another synthesizeQA setting
+      pageData.qaItems = this.withSynthesizedQA(previous.qaItems || [], previous.content?.sections, currentUrl);
+    } else {
+      pageData = this.parseHtml(loaded.html, currentUrl);
+      // Without the base scan's boilerplate, so unchanged pages compare equal to their stored copy
+      pageData = this.stripBoilerplate(pageData);
+      pageData.rendered = loaded.rendered;
+      if (loaded.document) {
+        this.applyDocumentInfo(pageData, loaded.document);
+      }
+      if (this.baseline) {
+        const sameContent = previous && this.contentFingerprint(previous) === this.contentFingerprint(pageData);
+        pageData.changeStatus = !previous ? 'added' : (sameContent ? 'unchanged' : 'changed');
+      }
+    }
+    pageData.depth = depth;
+    pageData.parent = parent;
+    pageData.contentHash = contentHash;
+    pageData.etag = loaded.etag || (loaded.notModified ? previous.etag : null) || null;
+    pageData.lastModified = loaded.lastModified || (loaded.notModified ? previous.lastModified : null) || null;
+    
+    console.log(`  Found ${pageData.links.length} links, Type: ${pageData.pageType}, Quality: ${pageData.qualityScore}%, Language: ${pageData.language || 'unknown'}`);
+    
+    for (const alternate of pageData.alternates || []) {
+      if (!this.knownLanguages.has(alternate.url)) this.knownLanguages.set(alternate.url, alternate.language);
+    }
+    
+    // Apply language and quality filters if specified
+    if (this.isExcludedLanguage(pageData.language)) {
+      console.log(`  Skipped, language ${pageData.language} not requested`);
+      this.recordSkip(currentUrl, 'language', `Language ${pageData.language} (${pageData.languageSource})`);
+    } else if (pageData.qualityScore >= this.options.minQualityScore) {
+      this.siteMap.set(currentUrl, pageData);
+      this.emit('page', {
+        url: currentUrl,
+        status: 'collected',
+        title: pageData.title,
+        pageType: pageData.pageType,
+        qualityScore: pageData.qualityScore,
+        wordCount: pageData.wordCount,
+        qaCount: pageData.qaItems.length,
+        rendered: pageData.rendered,
+        changeStatus: pageData.changeStatus,
+        depth
       });
-      
-      console.log(`[${this.pagesScanned}/${this.options.maxPages}] Crawling (depth ${depth}): ${currentUrl}`);
-      
-      // Fetch and parse page
-      const html = await this.fetchPage(currentUrl);
-      if (html) {
-        const pageData = this.parseHtml(html, currentUrl);
-        pageData.depth = depth;
-        pageData.parent = parent;
-        
-        console.log(`  Found ${pageData.links.length} links, Type: ${pageData.pageType}, Quality: ${pageData.qualityScore}%`);
-        
-        // Apply quality filter if specified
-        if (pageData.qualityScore >= this.options.minQualityScore) {
-          this.siteMap.set(currentUrl, pageData);
-        } else {
-          console.log(`  Skipped due to low quality score`);
-        }
-        
-        // Add links to queue
-        let addedCount = 0;
-        for (const link of pageData.links) {
-          if (this.shouldCrawl(link)) {
-            this.queue.push({
-              url: link,
-              depth: depth + 1,
-              parent: currentUrl
-            });
+    } else {
+      console.log(`  Skipped due to low quality score`);
+      this.recordSkip(currentUrl, 'low-quality', `Quality score ${pageData.qualityScore} below ${this.options.minQualityScore}`);
+    }
+    
+    // Add links to the frontier, scored by how likely they lead to the requested content
+    let addedCount = 0;
+    if (depth < this.options.maxDepth) {
+      // With a language filter, translations in the requested languages are followed as well
+      const links = this.options.languages
+        ? [...new Set([
+          ...pageData.links,
+          ...(pageData.alternates || []).filter(alternate => !this.isExcludedLanguage(alternate.language)).map(alternate => alternate.url)
+        ])]
+        : pageData.links;
+      for (const link of links) {
+        if (this.shouldCrawl(link)) {
+          const score = scoreLink({
+            url: link,
+            anchorText: pageData.linkTexts?.[link],
+            depth: depth + 1,
+            parentQuality: pageData.qualityScore,
+            parentType: pageData.pageType
+          }, this.options.pageTypes);
+          
+          if (this.frontier.push({ url: link, depth: depth + 1, parent: currentUrl, score })) {
             addedCount++;
           }
         }
-        console.log(`  Added ${addedCount} new links to queue (queue size: ${this.queue.length})`);
-      } else {
-        console.log(`  Failed to fetch page`);
       }
-      
-      // Delay between requests
-      await this.delay(this.options.delay);
     }
+    console.log(`  Added ${addedCount} new links to queue (queue size: ${this.frontier.size})`);
     
-    // Calculate statistics
-    const statistics = this.calculateStatistics();
-    
-    return {
-      domain: this.baseDomain,
-      startUrl: this.startUrl,
-      pagesScanned: this.pagesScanned,
-      statistics,
-      pages: Array.from(this.siteMap.values()),
-      siteMap: Object.fromEntries(this.siteMap),
-      pageRelationships: Object.fromEntries(this.pageRelationships)
-    };
+    if (addedCount > 0) {
+      this.notifyQueue();
+    }
   }
   
   async extractFromUrl(url, extractors = ['qa', 'content', 'metadata']) {
-    const html = await this.fetchPage(url);
-    if (!html) {
+    const loaded = await this.loadPage(url);
+    if (!loaded) {
       throw new Error('Failed to fetch URL');
     }
     
-    const $ = cheerio.load(html);
+    const $ = cheerio.load(loaded.html);
+    normalizeDocumentText($);
     const result = { url };
+    const alternates = this.extractAlternates($, url);
+    // Read before content extraction removes the scripts
+    const schemaData = this.extractSchemaData($);
+    
+    // Custom extractors run before the DOM is modified
+    const customExtractors = extractors.filter(name => getExtractor(name));
+    if (customExtractors.length > 0) {
+      const { extracted, errors } = this.runCustomExtractors($, url, customExtractors);
+      result.extracted = extracted;
+      if (errors.length > 0) result.extractorErrors = errors;
+    }
+    
+    const profile = matchProfile(this.options.profiles, url);
+    const profileQA = profile ? this.applyProfile($, profile) : [];
+    if (profile) {
+      result.profileId = profile.profileId;
+    }
     
     if (extractors.includes('content')) {
-      result.content = this.extractFullContent($);
+      result.content = this.extractFullContent($, url, profile);
     }
     
     if (extractors.includes('qa')) {
-      result.qaItems = this.extractQAPairs($);
+      const sections = this.options.synthesizeQA
+        ? (result.content || this.extractFullContent(cheerio.load(loaded.html), url, profile)).sections
+        : [];
+      result.qaItems = this.withSynthesizedQA(this.extractQAPairs($, schemaData, profileQA), sections, url);
     }
     
     if (extractors.includes('metadata')) {
       result.title = $('title').text().trim();
       result.metaDescription = $('meta[name="description"]').attr('content') || '';
       result.metaKeywords = $('meta[name="keywords"]').attr('content') || '';
+      const { language, source, direction } = detectLanguage($, this.normalizeUrl(url), alternates, result.content ? result.content.text : $('body').text());
+      result.language = language;
+      result.languageSource = source;
+      result.direction = direction;
+      result.alternates = alternates;
     }
     
     if (extractors.includes('schema')) {
-      result.schemaData = this.extractSchemaData($);
+      result.schemaData = schemaData;
     }
     
     if (extractors.includes('structure')) {
@@ -586,14 +1348,20 @@ class WebsiteScanner extends EventEmitter {
   
   calculateStatistics() {
     let totalQA = 0;
+    let synthesizedQA = 0;
     let totalWords = 0;
     let avgQualityScore = 0;
     let faqPages = 0;
     let docsPages = 0;
+    let renderedPages = 0;
+    const languages = {};
     
     for (const pageData of this.siteMap.values()) {
+      if (pageData.rendered) renderedPages++;
+      if (pageData.language) languages[pageData.language] = (languages[pageData.language] || 0) + 1;
       totalWords += pageData.wordCount;
       totalQA += pageData.qaItems?.length || 0;
+      synthesizedQA += pageData.qaItems?.filter(qa => qa.synthesized).length || 0;
       avgQualityScore += pageData.qualityScore || 0;
       
       if (pageData.pageType === 'FAQ') faqPages++;
@@ -602,25 +1370,43 @@ class WebsiteScanner extends EventEmitter {
       }
     }
     
+    const skipReasons = {};
+    for (const skipped of this.skippedUrls) {
+      skipReasons[skipped.reason] = (skipReasons[skipped.reason] || 0) + 1;
+    }
+    
+    // Incremental scans also count pages per change status
+    let changes;
+    if (this.baseline) {
+      changes = Object.fromEntries(Object.entries(this.getChanges()).map(([status, urls]) => [status, urls.length]));
+    }
+    
     return {
       totalPages: this.siteMap.size,
       totalQA,
+      synthesizedQA,
       totalWords,
       avgQualityScore: Math.round(avgQualityScore / this.siteMap.size) || 0,
       faqPages,
       docsPages,
-      avgWordsPerPage: Math.round(totalWords / this.siteMap.size) || 0
+      avgWordsPerPage: Math.round(totalWords / this.siteMap.size) || 0,
+      renderedPages,
+      languages,
+      skippedPages: this.skippedUrls.length,
+      failedPages: this.failedUrls.length,
+      skipReasons,
+      ...(changes && { changes })
     };
   }
   
-  async exportData(pages, format, domain) {
+  async exportData(pages, format, domain, options = {}) {
     switch (format) {
       case 'rag':
-        return this.exportForRAG(pages, domain);
+        return this.exportForRAG(pages, domain, options.chunking);
       case 'markdown':
-        return this.exportMarkdown(pages, domain);
+        return this.exportMarkdown(pages, domain, options.chunking);
       case 'vectordb':
-        return this.exportVectorDB(pages, domain);
+        return this.exportVectorDB(pages, domain, options.chunking);
       case 'csv':
         return this.exportCSV(pages);
       case 'xml':
@@ -630,33 +1416,28 @@ class WebsiteScanner extends EventEmitter {
     }
   }
   
-  exportForRAG(pages, domain) {
+  exportForRAG(pages, domain, chunkingOptions = {}) {
+    const chunking = normalizeChunkingOptions(chunkingOptions);
     const documents = [];
     
     for (const pageData of pages) {
       if (pageData.qualityScore < 30) continue;
       
-      const chunks = [];
-      if (pageData.content && pageData.content.paragraphs) {
-        pageData.content.paragraphs.forEach(paragraph => {
-          if (paragraph.length > 100) {
-            chunks.push(paragraph);
-          }
-        });
-      }
+      const chunks = chunkPage(pageData, chunking).map(chunk => chunk.text);
+      const qaItems = (pageData.qaItems || []).filter(qa => !qa.synthesized);
+      const synthesizedQA = (pageData.qaItems || []).filter(qa => qa.synthesized);
       
-      if (pageData.qaItems && pageData.qaItems.length > 0) {
-        pageData.qaItems.forEach(qa => {
-          chunks.push(`Question: ${qa.question}\nAnswer: ${qa.answer}`);
-        });
-      }
+      qaItems.forEach(qa => {
+        chunks.push(`Question: ${qa.question}\nAnswer: ${qa.answer}`);
+      });
       
       documents.push({
         id: `${domain}_${pageData.url.replace(/[^a-zA-Z0-9]/g, '_')}`,
         url: pageData.url,
         title: pageData.title,
         type: pageData.pageType,
-        content: pageData.content?.text || '',
+        language: pageData.language || null,
+        content: (chunking.textFormat === 'markdown' && pageData.content?.markdown) || pageData.content?.text || '',
         chunks: chunks,
         metadata: {
           description: pageData.metaDescription,
@@ -665,8 +1446,17 @@ class WebsiteScanner extends EventEmitter {
           qualityScore: pageData.qualityScore,
           wordCount: pageData.wordCount,
           depth: pageData.depth,
-          qaCount: pageData.qaItems?.length || 0
-        }
+          qaCount: qaItems.length,
+          synthesizedQACount: synthesizedQA.length,
+          direction: pageData.direction || null,
+          translationGroup: pageData.translationGroup || null
+        },
+        // Kept out of the chunks: they restate the page's sections and are only as good as the
+        // heading they came from
+        ...(synthesizedQA.length > 0 && {
+          synthesizedQA: synthesizedQA.map(({ question, answer, confidence, anchor }) => ({ question, answer, confidence, anchor }))
+        }),
+        ...(pageData.extracted && { extracted: pageData.extracted })
       });
     }
     
@@ -674,11 +1464,13 @@ class WebsiteScanner extends EventEmitter {
       source: domain,
       crawlDate: new Date().toISOString(),
       totalPages: documents.length,
+      chunking,
       documents: documents
     }, null, 2);
   }
   
-  exportMarkdown(pages, domain) {
+  exportMarkdown(pages, domain, options = {}) {
+    const { textFormat } = normalizeChunkingOptions(options);
     let markdown = `# ${domain} Content Export\n\n`;
     markdown += `Generated: ${new Date().toISOString()}\n\n`;
     
@@ -695,20 +1487,46 @@ class WebsiteScanner extends EventEmitter {
       typePages.forEach(page => {
         markdown += `### ${page.title}\n\n`;
         markdown += `**URL:** ${page.url}\n`;
-        markdown += `**Quality Score:** ${page.qualityScore}/100\n\n`;
+        markdown += `**Quality Score:** ${page.qualityScore}/100\n`;
+        if (page.language) {
+          markdown += `**Language:** ${page.language}\n`;
+        }
+        markdown += '\n';
         
         if (page.metaDescription) {
           markdown += `**Description:** ${page.metaDescription}\n\n`;
         }
         
-        if (page.qaItems && page.qaItems.length > 0) {
+        const body = this.markdownBody(page, textFormat);
+        if (body) {
+          markdown += `${body}\n\n`;
+        }
+        
+        const qaItems = (page.qaItems || []).filter(qa => !qa.synthesized);
+        const synthesizedQA = (page.qaItems || []).filter(qa => qa.synthesized);
+        
+        if (qaItems.length > 0) {
           markdown += `#### Q&A Items\n\n`;
-          page.qaItems.forEach(qa => {
+          qaItems.forEach(qa => {
             markdown += `**Q:** ${qa.question}\n`;
             markdown += `**A:** ${qa.answer}\n\n`;
           });
         }
         
+        if (synthesizedQA.length > 0) {
+          markdown += `#### Synthesized Q&A (from headings)\n\n`;
+          synthesizedQA.forEach(qa => {
+            markdown += `**Q:** [${qa.question}](${qa.anchor}) _(confidence ${qa.confidence})_\n`;
+            markdown += `**A:** ${qa.answer}\n\n`;
+          });
+        }
+        
+        for (const [outputKey, output] of Object.entries(page.extracted || {})) {
+          const text = extractedText(outputKey, output);
+          markdown += `#### ${outputKey}\n\n`;
+          markdown += text ? `${text}\n\n` : `\`\`\`json\n${JSON.stringify(output, null, 2)}\n\`\`\`\n\n`;
+        }
+        
         markdown += '---\n\n';
       });
     });
@@ -716,28 +1534,41 @@ class WebsiteScanner extends EventEmitter {
     return markdown;
   }
   
-  exportVectorDB(pages, domain) {
+  // A page's body nested below its "###" title in the markdown export
+  markdownBody(page, textFormat) {
+    if (textFormat === 'markdown' && page.content?.markdown) {
+      return shiftHeadings(page.content.markdown, 3);
+    }
+    return getSections(page, 'text')
+      .map(section => {
+        const heading = section.heading ? `${'#'.repeat(Math.min(6, section.level + 3))} ${section.heading}\n\n` : '';
+        return heading + section.paragraphs.join('\n\n');
+      })
+      .join('\n\n');
+  }
+  
+  exportVectorDB(pages, domain, chunkingOptions = {}) {
+    const chunking = normalizeChunkingOptions(chunkingOptions);
     const vectors = [];
     
     for (const pageData of pages) {
       if (pageData.qualityScore < 30) continue;
       
-      if (pageData.content && pageData.content.paragraphs) {
-        pageData.content.paragraphs.forEach((paragraph, idx) => {
-          if (paragraph.length > 100) {
-            vectors.push({
-              id: `${pageData.url}_chunk_${idx}`,
-              text: paragraph,
-              metadata: {
-                url: pageData.url,
-                title: pageData.title,
-                pageType: pageData.pageType,
-                chunkIndex: idx
-              }
-            });
+      chunkPage(pageData, chunking).forEach(chunk => {
+        vectors.push({
+          id: `${pageData.url}_chunk_${chunk.index}`,
+          text: chunk.text,
+          metadata: {
+            url: pageData.url,
+            title: pageData.title,
+            pageType: pageData.pageType,
+            language: pageData.language || null,
+            chunkIndex: chunk.index,
+            headingPath: chunk.headingPath,
+            tokens: chunk.tokens
           }
         });
-      }
+      });
       
       if (pageData.qaItems && pageData.qaItems.length > 0) {
         pageData.qaItems.forEach((qa, idx) => {
@@ -747,26 +1578,51 @@ class WebsiteScanner extends EventEmitter {
             metadata: {
               url: pageData.url,
               title: pageData.title,
-              pageType: 'FAQ',
+              pageType: qa.synthesized ? pageData.pageType : 'FAQ',
+              language: pageData.language || null,
               isQA: true,
               question: qa.question,
-              answer: qa.answer
+              answer: qa.answer,
+              ...(qa.synthesized && {
+                synthesized: true,
+                confidence: qa.confidence,
+                anchor: qa.anchor,
+                headingPath: qa.headingPath
+              })
             }
           });
         });
       }
+      
+      // Custom extractor output, for extractors that render it as text
+      for (const [outputKey, output] of Object.entries(pageData.extracted || {})) {
+        const text = extractedText(outputKey, output);
+        if (!text) continue;
+        vectors.push({
+          id: `${pageData.url}_extracted_${outputKey}`,
+          text,
+          metadata: {
+            url: pageData.url,
+            title: pageData.title,
+            pageType: pageData.pageType,
+            language: pageData.language || null,
+            extractedKey: outputKey
+          }
+        });
+      }
     }
     
     return JSON.stringify({
       source: domain,
       exportDate: new Date().toISOString(),
       totalVectors: vectors.length,
+      chunking,
       vectors: vectors
     }, null, 2);
   }
   
   exportCSV(pages) {
-    const headers = ['URL', 'Title', 'Type', 'Quality Score', 'Word Count', 'Q&A Count'];
+    const headers = ['URL', 'Title', 'Type', 'Quality Score', 'Word Count', 'Q&A Count', 'Synthesized Q&A Count', 'Language'];
     let csv = headers.join(',') + '\n';
     
     for (const page of pages) {
@@ -776,7 +1632,9 @@ class WebsiteScanner extends EventEmitter {
         page.pageType,
         page.qualityScore,
         page.wordCount,
-        page.qaItems?.length || 0
+        page.qaItems?.filter(qa => !qa.synthesized).length || 0,
+        page.qaItems?.filter(qa => qa.synthesized).length || 0,
+        page.language || ''
       ];
       csv += row.join(',') + '\n';
     }
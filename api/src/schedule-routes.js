@@ -0,0 +1,154 @@
+// Recurring scan schedule endpoints, mounted at /api/schedules
+
+const express = require('express');
+const { validateSchedule } = require('./validators');
+
+const router = express.Router();
+
+// This will be set by the main server
+let scheduler;
+let scanResults;
+
+function webhookFrom(body, current = null) {
+  if (body.webhookUrl === undefined && body.webhookSecret === undefined) return current;
+  const url = body.webhookUrl !== undefined ? body.webhookUrl : current?.url;
+  if (!url) return null;
+  return { url, secret: body.webhookSecret !== undefined ? body.webhookSecret : (current?.secret || null) };
+}
+
+// Secrets stay on the server
+function publicSchedule(schedule) {
+  const { webhook, ...rest } = schedule;
+  return {
+    ...rest,
+    webhookUrl: webhook?.url || null,
+    signed: Boolean(webhook?.secret)
+  };
+}
+
+// Create a schedule
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid schedule', details: error.message });
+    }
+
+    const { name, url, cron, options, incremental, enabled } = value;
+    const schedule = await scheduler.create({
+      name,
+      url,
+      cron,
+      options,
+      incremental,
+      enabled,
+      webhook: webhookFrom(value)
+    });
+
+    res.status(201).json(publicSchedule(schedule));
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+// List schedules
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await scheduler.list();
+    res.json({ schedules: schedules.map(publicSchedule) });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+// Get a schedule with the current status of its recent runs
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await scheduler.get(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const runs = await Promise.all(schedule.runs.map(async (run) => {
+      if (!run.scanId) return run;
+      const scan = await scanResults.get(run.scanId);
+      return { ...run, status: scan ? scan.status : 'expired' };
+    }));
+
+    res.json({ ...publicSchedule(schedule), runs });
+  } catch (error) {
+    console.error('Error retrieving schedule:', error);
+    res.status(500).json({ error: 'Failed to retrieve schedule' });
+  }
+});
+
+// Update a schedule
+router.patch('/:scheduleId', async (req, res) => {
+  try {
+    const { error, value } = validateSchedule(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error: 'Invalid schedule', details: error.message });
+    }
+
+    const current = await scheduler.get(req.params.scheduleId);
+    if (!current) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const changes = {};
+    for (const field of ['name', 'url', 'cron', 'options', 'incremental', 'enabled']) {
+      if (value[field] !== undefined) changes[field] = value[field];
+    }
+    changes.webhook = webhookFrom(value, current.webhook);
+
+    const schedule = await scheduler.update(req.params.scheduleId, changes);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(publicSchedule(schedule));
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Run a schedule now, outside its cron timing
+router.post('/:scheduleId/run', async (req, res) => {
+  try {
+    const run = await scheduler.run(req.params.scheduleId, { manual: true });
+    if (!run) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (run.status === 'skipped') {
+      return res.status(409).json({ error: run.message, run });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Error running schedule:', error);
+    res.status(500).json({ error: 'Failed to run schedule' });
+  }
+});
+
+// Delete a schedule; scans it already started are kept
+router.delete('/:scheduleId', async (req, res) => {
+  try {
+    const deleted = await scheduler.delete(req.params.scheduleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ scheduleId: req.params.scheduleId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// Function to set the scheduler and scanResults references from main server
+router.setScheduler = (instance, results) => {
+  scheduler = instance;
+  scanResults = results;
+};
+
+module.exports = router;
@@ -0,0 +1,320 @@
+// Recurring scans on cron schedules
+//
+// Schedules are stored records. A timer starts a scan for every schedule that is due, through
+// the same path as POST /api/scan, so runs use the Bull queue when it is enabled. Each run links
+// to the previous run of its schedule, and incremental schedules re-scan against the last
+// completed run.
+
+const { v4: uuidv4 } = require('uuid');
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Runs kept in a schedule's history
+const MAX_RUN_HISTORY = 50;
+
+// Scan statuses that mean the previous run is still going
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(text);
+  if (!/^\d+$/.test(text) && index < 0) {
+    throw new Error(`Invalid ${field.name} value "${text}"`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+// Expands one cron field ("*/15", "1-5", "mon,wed,fri") into the set of values it matches
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} field "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name} field "${part}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/10" means every 10 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Sunday can be written as 0 or 7
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+// Parses a five-field cron expression (minute hour day-of-month month day-of-week) or an
+// alias such as "@daily". Throws on invalid expressions.
+function parseCron(expression) {
+  const source = CRON_ALIASES[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Expected ${CRON_FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, index) => {
+    cron[field.name] = parseField(parts[index], field);
+  });
+  // As in cron, a restricted day of month and day of week match when either one does
+  cron.anyDayOfMonth = parts[2] === '*';
+  cron.anyDayOfWeek = parts[4] === '*';
+  return cron;
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+// First time after `after` that matches the expression, in UTC. Throws when the
+// expression never matches (e.g. "0 0 31 2 *").
+function nextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setUTCFullYear(limit.getUTCFullYear() + 5);
+
+  while (date < limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error('Expression never matches a date');
+}
+
+class Scheduler {
+  // `startScan(schedule, { previousScanId, baseScanId })` creates a scan and resolves to
+  // { scanId, status }; `getScan(scanId)` reads a stored scan. `lock(key, ttlMs)` is optional
+  // and lets several servers share one store without starting the same run twice.
+  constructor(store, options = {}) {
+    this.store = store;
+    this.startScan = options.startScan;
+    this.getScan = options.getScan;
+    this.lock = options.lock || null;
+    this.logger = options.logger || console;
+    this.interval = options.interval || 30000;
+    this.timer = null;
+    this.checking = null;
+  }
+
+  // Checks for due schedules now and then every `interval`. Schedules that came due while
+  // the server was down run once on the first check.
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.runDue().catch(error => this.logger.error('Schedule check failed:', error));
+      }, this.interval);
+      this.timer.unref();
+    }
+    return this.runDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async create(fields) {
+    const now = new Date();
+    const schedule = {
+      scheduleId: uuidv4(),
+      name: fields.name || fields.url,
+      url: fields.url,
+      cron: fields.cron,
+      options: fields.options || {},
+      incremental: fields.incremental !== false,
+      enabled: fields.enabled !== false,
+      webhook: fields.webhook || null,
+      nextRunAt: fields.enabled !== false ? nextRun(fields.cron, now).toISOString() : null,
+      lastRunAt: null,
+      lastScanId: null,
+      lastError: null,
+      runs: [],
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+    return this.store.set(schedule.scheduleId, schedule);
+  }
+
+  // Applies changed fields, recomputing the next run when the expression or enabled state changes
+  async update(scheduleId, changes) {
+    return this.store.update(scheduleId, current => {
+      const updated = { ...current, ...changes };
+      const timingChanged = changes.cron !== undefined || changes.enabled !== undefined;
+      return {
+        ...changes,
+        nextRunAt: timingChanged
+          ? (updated.enabled ? nextRun(updated.cron).toISOString() : null)
+          : current.nextRunAt,
+        updatedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  async get(scheduleId) {
+    return this.store.get(scheduleId);
+  }
+
+  async list() {
+    const schedules = await this.store.list();
+    return schedules.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async delete(scheduleId) {
+    return this.store.delete(scheduleId);
+  }
+
+  // Overlapping checks would see the same due schedules
+  runDue() {
+    if (!this.checking) {
+      this.checking = this.checkSchedules().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async checkSchedules() {
+    const now = Date.now();
+    for (const schedule of await this.store.list()) {
+      if (schedule.enabled && schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now) {
+        await this.run(schedule.scheduleId).catch(error => {
+          this.logger.error(`Scheduled run of ${schedule.scheduleId} failed:`, error);
+        });
+      }
+    }
+  }
+
+  // Starts a run of a schedule: a due run when `manual` is false, otherwise an extra run now.
+  // Resolves to the run entry, or null when the schedule isn't due (or another server took it).
+  async run(scheduleId, { manual = false } = {}) {
+    const now = new Date();
+    let claimed = false;
+
+    // Claiming advances nextRunAt first, so a failing run doesn't repeat every check
+    const schedule = await this.store.update(scheduleId, current => {
+      if (!manual && !(current.enabled && current.nextRunAt && Date.parse(current.nextRunAt) <= now.getTime())) {
+        return {};
+      }
+      claimed = true;
+      return manual ? {} : { nextRunAt: nextRun(current.cron, now).toISOString() };
+    });
+    if (!schedule || !claimed) return null;
+
+    if (!manual && this.lock && !(await this.lock(`schedule:${scheduleId}:${now.toISOString().slice(0, 16)}`, 60000))) {
+      return null;
+    }
+
+    const run = {
+      scanId: null,
+      trigger: manual ? 'manual' : 'schedule',
+      startedAt: now.toISOString(),
+      status: null
+    };
+
+    const previous = schedule.lastScanId ? await this.getScan(schedule.lastScanId) : null;
+    if (previous && ACTIVE_STATUSES.includes(previous.status)) {
+      // Runs never overlap; this occurrence is skipped
+      run.status = 'skipped';
+      run.message = `Previous run ${previous.scanId} is still ${previous.status}`;
+      await this.recordRun(scheduleId, run, { lastError: null });
+      this.logger.info(`Skipped run of schedule ${scheduleId}: ${run.message}`);
+      return run;
+    }
+
+    const baseScanId = schedule.incremental ? await this.lastCompletedRun(schedule) : null;
+    try {
+      const { scanId, status } = await this.startScan(schedule, {
+        previousScanId: schedule.lastScanId,
+        baseScanId
+      });
+      run.scanId = scanId;
+      run.status = status;
+      await this.recordRun(scheduleId, run, { lastScanId: scanId, lastError: null });
+      this.logger.info(`Schedule ${scheduleId} started scan ${scanId}`);
+    } catch (error) {
+      run.status = 'failed';
+      run.message = error.message;
+      await this.recordRun(scheduleId, run, { lastError: error.message });
+      throw error;
+    }
+    return run;
+  }
+
+  async recordRun(scheduleId, run, changes) {
+    await this.store.update(scheduleId, current => ({
+      ...changes,
+      lastRunAt: run.startedAt,
+      runs: [...(current.runs || []), run].slice(-MAX_RUN_HISTORY)
+    }));
+  }
+
+  // The newest run that completed and is still stored, used as the incremental base
+  async lastCompletedRun(schedule) {
+    const runs = (schedule.runs || []).filter(run => run.scanId).reverse();
+    for (const run of runs) {
+      const scan = await this.getScan(run.scanId);
+      if (scan && scan.status === 'completed') return scan.scanId;
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  Scheduler,
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,181 @@
+// BM25 full-text search over the chunks and Q&A pairs of a scan
+//
+// The index is built in memory from stored pages, using the same heading-aware chunks as the
+// RAG export, so a query shows what a retriever would find in the exported data. Chunks are
+// cut from the plain text, since the link URLs in markdown would match queries too.
+
+const { chunkPage } = require('./chunker');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Questions are short but say exactly what an item is about
+const QUESTION_WEIGHT = 2;
+
+const SNIPPET_WORDS = 40;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has',
+  'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so',
+  'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Folds English plurals ("refunds" to "refund", "policies" to "policy"), after Harman's S-stemmer
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (/ies$/.test(word) && !/[ae]ies$/.test(word)) return `${word.slice(0, -3)}y`;
+  if (/es$/.test(word) && !/[aeo]es$/.test(word)) return word.slice(0, -1);
+  if (/s$/.test(word) && !/[us]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Lowercased, accent-folded and plural-folded terms without stopwords
+function tokenize(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu)
+    ?.filter(word => !STOPWORDS.has(word))
+    .map(stem) || [];
+}
+
+class SearchIndex {
+  constructor() {
+    this.documents = [];
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  // Adds a document { type, url, title, headingPath, text, ... }; `indexText` overrides
+  // the text that is tokenized
+  add(document, indexText = document.text) {
+    const terms = tokenize(indexText);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    const id = this.documents.length;
+    this.documents.push({ ...document, length: terms.length });
+    this.totalLength += terms.length;
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, []);
+      this.postings.get(term).push({ id, frequency });
+    }
+  }
+
+  // Ranked matches for `query`: [{ ...document without its text, score, coverage, snippet }].
+  // `coverage` is the share of the query's terms found in the document.
+  search(query, { limit = 10, type = null } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.documents.length === 0) return [];
+
+    const averageLength = this.totalLength / this.documents.length;
+    const scores = new Map();
+    const matchedTerms = new Map();
+
+    for (const term of terms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+
+      const idf = Math.log(1 + (this.documents.length - postings.length + 0.5) / (postings.length + 0.5));
+      for (const { id, frequency } of postings) {
+        const length = this.documents[id].length;
+        const weight = (frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + idf * weight);
+        matchedTerms.set(id, (matchedTerms.get(id) || 0) + 1);
+      }
+    }
+
+    return [...scores.entries()]
+      .filter(([id]) => !type || this.documents[id].type === type)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => {
+        const { length, text, ...document } = this.documents[id];
+        return {
+          ...document,
+          score: Math.round(score * 1000) / 1000,
+          coverage: Math.round(matchedTerms.get(id) / terms.length * 100) / 100,
+          snippet: buildSnippet(text, terms)
+        };
+      });
+  }
+}
+
+// The window of text with the most query terms, with ellipses where it was cut
+function buildSnippet(text, terms) {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  if (words.length <= SNIPPET_WORDS) return words.join(' ');
+
+  const querySet = new Set(terms);
+  const hits = words.map(word => (tokenize(word).some(term => querySet.has(term)) ? 1 : 0));
+
+  let best = 0;
+  let bestCount = -1;
+  let count = 0;
+  for (let i = 0; i < words.length; i++) {
+    count += hits[i];
+    if (i >= SNIPPET_WORDS) count -= hits[i - SNIPPET_WORDS];
+    if (i >= SNIPPET_WORDS - 1 && count > bestCount) {
+      bestCount = count;
+      best = i - SNIPPET_WORDS + 1;
+    }
+  }
+
+  // Center the window on its matches so they have context on both sides
+  const firstHit = hits.indexOf(1, best);
+  const lastHit = hits.lastIndexOf(1, best + SNIPPET_WORDS - 1);
+  const center = firstHit >= 0 ? Math.floor((firstHit + lastHit) / 2) : best + SNIPPET_WORDS / 2;
+  const start = Math.max(0, Math.min(words.length - SNIPPET_WORDS, center - SNIPPET_WORDS / 2));
+  const end = start + SNIPPET_WORDS;
+  return `${start > 0 ? '… ' : ''}${words.slice(start, end).join(' ')}${end < words.length ? ' …' : ''}`;
+}
+
+// Indexes the body chunks (as the RAG export chunks them) and Q&A pairs of stored pages
+function buildSearchIndex(pages, chunkingOptions = {}) {
+  const index = new SearchIndex();
+
+  for (const page of pages) {
+    for (const chunk of chunkPage(page, { ...chunkingOptions, textFormat: 'text' })) {
+      index.add({
+        type: 'chunk',
+        url: page.url,
+        title: page.title,
+        headingPath: chunk.headingPath,
+        chunkIndex: chunk.index,
+        text: chunk.text
+      });
+    }
+
+    (page.qaItems || []).forEach((qa, qaIndex) => {
+      const question = `${qa.question} `.repeat(QUESTION_WEIGHT);
+      index.add({
+        type: 'qa',
+        url: page.url,
+        title: page.title,
+        headingPath: [],
+        qaIndex,
+        question: qa.question,
+        answer: qa.answer,
+        ...(qa.synthesized && { synthesized: true, confidence: qa.confidence, anchor: qa.anchor }),
+        text: `${qa.question} ${qa.answer}`
+      }, `${question}${qa.answer}`);
+    });
+  }
+
+  return index;
+}
+
+module.exports = {
+  SearchIndex,
+  buildSearchIndex,
+  tokenize
+};
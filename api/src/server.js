@@ -7,12 +7,30 @@ const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
 const Queue = require('bull');
 const Redis = require('redis');
+const { EventEmitter } = require('events');
 require('dotenv').config();
 
 const WebsiteScanner = require('./scanner');
-const { validateScanRequest, validateExportRequest } = require('./validators');
+const {
+  validateScanRequest,
+  validateExportRequest,
+  validateExtractRequest,
+  validateBatchRequest,
+  validateChunkingOptions,
+  validateEvaluationRequest
+} = require('./validators');
+const { WebhookNotifier } = require('./webhooks');
+const { diffScans } = require('./compare-scans');
+const { buildSearchIndex } = require('./search-index');
+const { evaluateRetrieval } = require('./evaluation');
+const { createStore } = require('./storage');
+const { Scheduler } = require('./scheduler');
+const { browserPool } = require('./browser-pool');
+const { BUILTIN_EXTRACTORS, getExtractors, loadPlugins } = require('./extractors');
 const sitemapRoutes = require('./sitemap-routes');
 const comprehensiveMapRoutes = require('./comprehensive-map');
+const scheduleRoutes = require('./schedule-routes');
+const profileRoutes = require('./profile-routes');
 
 // Initialize Express app
 const app = express();
@@ -66,8 +84,41 @@ const limiter = rateLimit({
 
 app.use('/api/', limiter);
 
-// In-memory storage for demo (use database in production)
-const scanResults = new Map();
+// Persistent scan storage (STORAGE_BACKEND=file|redis|memory); scans expire after SCAN_TTL_HOURS
+const scanResults = createStore('scans', {
+  client: redisClient,
+  ttl: (parseFloat(process.env.SCAN_TTL_HOURS) || 168) * 3600
+});
+
+// Checkpoints of paused and running scans, kept apart from the scan records. Collected pages
+// are stored in chunks holding the pages added since the previous checkpoint.
+const checkpoints = createStore('checkpoints', {
+  client: redisClient,
+  ttl: (parseFloat(process.env.SCAN_TTL_HOURS) || 168) * 3600
+});
+
+// Webhook notifications for finished scans, with their delivery log kept on the scan
+const webhooks = new WebhookNotifier(scanResults, { logger });
+
+// Recurring scans. Schedules never expire; with Redis, a short-lived key makes sure
+// only one server starts each run.
+const scheduler = new Scheduler(createStore('schedules', { client: redisClient }), {
+  logger,
+  getScan: scanId => scanResults.get(scanId),
+  startScan: (schedule, { previousScanId, baseScanId }) => createScan(schedule.url, buildScanOptions(schedule.options), {
+    scheduleId: schedule.scheduleId,
+    previousScanId,
+    baseScanId,
+    webhook: schedule.webhook
+  }),
+  lock: async (key, ttl) => {
+    if (!redisClient || !redisClient.isReady) return true;
+    return (await redisClient.set(`rag-collector:lock:${key}`, String(process.pid), { NX: true, PX: ttl })) === 'OK';
+  }
+});
+
+// Per-site extraction profiles, applied to every scan and extraction. They never expire.
+const profileStore = createStore('profiles', { client: redisClient });
 
 // Use sitemap routes
 sitemapRoutes.setScanResults(scanResults);
@@ -94,6 +145,14 @@ const authenticateAPIKey = (req, res, next) => {
   }
 };
 
+// Use schedule routes
+scheduleRoutes.setScheduler(scheduler, scanResults);
+app.use('/api/schedules', authenticateAPIKey, scheduleRoutes);
+
+// Use profile routes
+profileRoutes.setProfileStore(profileStore);
+app.use('/api/profiles', authenticateAPIKey, profileRoutes);
+
 // Routes
 
 // Health check
@@ -108,12 +167,14 @@ app.get('/api/health', (req, res) => {
 // Start a website scan
 app.post('/api/scan', authenticateAPIKey, async (req, res) => {
   try {
-    const { url, maxPages, maxDepth, crawlDelay, delay, includeMetadata, extractQA, ...otherOptions } = req.body;
+    const { url, options: requestOptions, maxPages, maxDepth, crawlDelay, delay, includeMetadata, extractQA, webhookUrl, webhookSecret, baseScanId, ...otherOptions } = req.body;
+    // Options go under `options`; top-level options are still accepted from older clients
     const options = {
-      maxPages: maxPages || otherOptions.maxPages,
-      maxDepth: maxDepth || otherOptions.maxDepth,
-      delay: delay || crawlDelay || otherOptions.delay,
-      ...otherOptions
+      ...otherOptions,
+      maxPages,
+      maxDepth,
+      delay: delay || crawlDelay,
+      ...requestOptions
     };
     
     // Validate input
@@ -121,66 +182,34 @@ app.post('/api/scan', authenticateAPIKey, async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
     
-    const scanId = uuidv4();
-    const scanOptions = {
-      maxPages: options.maxPages || 50,
-      maxDepth: options.maxDepth || 3,
-      delay: options.delay || 500,
-      minQualityScore: options.minQualityScore || 30,
-      pageTypes: options.pageTypes || null,
-      includeContent: options.includeContent !== false
-    };
+    const { error, value } = validateScanRequest({ url, options, baseScanId, webhookUrl, webhookSecret });
+    if (error) {
+      return res.status(400).json({ error: 'Invalid scan request', details: error.message });
+    }
     
-    // Add job to queue for async processing (if available)
-    let jobId = null;
-    if (scanQueue) {
-      const job = await scanQueue.add({
-        scanId,
-        url,
-        options: scanOptions
-      });
-      jobId = job.id;
-      
-      // Store initial scan status
-      scanResults.set(scanId, {
-        scanId,
-        status: 'queued',
-        progress: 0,
-        url,
-        jobId: jobId,
-        createdAt: new Date().toISOString()
-      });
-      
-      logger.info(`Scan initiated: ${scanId} for ${url}`);
-      
-      res.json({
-        scanId,
-        status: 'queued',
-        estimatedTime: Math.ceil((scanOptions.maxPages * scanOptions.delay) / 1000),
-        message: 'Scan queued for processing'
-      });
-    } else {
-      // No Redis/queue available - process immediately in background
-      scanResults.set(scanId, {
-        scanId,
-        status: 'processing',
-        progress: 0,
-        url,
-        createdAt: new Date().toISOString()
-      });
-      
-      logger.info(`Scan initiated (direct processing): ${scanId} for ${url}`);
-      
-      // Process scan in background
-      processScanDirectly(scanId, url, scanOptions);
-      
-      res.json({
-        scanId,
-        status: 'processing',
-        estimatedTime: Math.ceil((scanOptions.maxPages * scanOptions.delay) / 1000),
-        message: 'Scan started (direct processing)'
-      });
+    // Incremental scans re-check the pages of an earlier completed scan
+    if (value.baseScanId) {
+      const baseScan = await scanResults.get(value.baseScanId);
+      if (!baseScan) {
+        return res.status(404).json({ error: 'Base scan not found' });
+      }
+      if (baseScan.status !== 'completed') {
+        return res.status(409).json({ error: `Base scan is ${baseScan.status}; only completed scans can be used as a base` });
+      }
     }
+    
+    const scanOptions = buildScanOptions(value.options);
+    const { scanId, status } = await createScan(value.url, scanOptions, {
+      baseScanId: value.baseScanId || null,
+      webhook: value.webhookUrl ? { url: value.webhookUrl, secret: value.webhookSecret || null } : null
+    });
+    
+    res.json({
+      scanId,
+      status,
+      estimatedTime: Math.ceil((scanOptions.maxPages * scanOptions.delay) / 1000),
+      message: scanQueue ? 'Scan queued for processing' : 'Scan started (direct processing)'
+    });
   } catch (error) {
     logger.error('Error initiating scan:', error);
     res.status(500).json({ error: 'Failed to initiate scan' });
@@ -189,59 +218,279 @@ app.post('/api/scan', authenticateAPIKey, async (req, res) => {
 
 // Get scan status
 app.get('/api/scan/:scanId/status', authenticateAPIKey, async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const scan = await scanResults.get(scanId);
+    
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    
+    res.json({
+      scanId: scan.scanId,
+      status: scan.status,
+      progress: scan.progress || 0,
+      pagesScanned: scan.pagesScanned || 0,
+      message: scan.message || '',
+      url: scan.url
+    });
+  } catch (error) {
+    logger.error('Error getting scan status:', error);
+    res.status(500).json({ error: 'Failed to get scan status' });
+  }
+});
+
+// Stream live scan progress and per-page results as Server-Sent Events
+app.get('/api/scan/:scanId/events', authenticateAPIKey, async (req, res) => {
   const { scanId } = req.params;
-  const scan = scanResults.get(scanId);
+  let scan;
+  try {
+    scan = await scanResults.get(scanId);
+  } catch (error) {
+    logger.error('Error getting scan events:', error);
+    return res.status(500).json({ error: 'Failed to get scan events' });
+  }
   
   if (!scan) {
     return res.status(404).json({ error: 'Scan not found' });
   }
   
-  res.json({
-    scanId: scan.scanId,
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Push through the compression middleware instead of buffering
+    if (res.flush) res.flush();
+  };
+  
+  let heartbeat = null;
+  const listener = (event, data) => {
+    send(event, data);
+    if (event === 'status' && FINAL_STATUSES.includes(data.status)) {
+      close();
+    }
+  };
+  const close = () => {
+    scanEvents.removeListener(scanId, listener);
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      send('end', { scanId });
+      res.end();
+    }
+  };
+  
+  // Current state first, so late subscribers know where the scan stands
+  send('status', {
+    scanId,
     status: scan.status,
     progress: scan.progress || 0,
     pagesScanned: scan.pagesScanned || 0,
-    message: scan.message || '',
-    url: scan.url
+    message: scan.message || ''
   });
+  
+  if (FINAL_STATUSES.includes(scan.status)) {
+    return close();
+  }
+  
+  scanEvents.on(scanId, listener);
+  heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (res.flush) res.flush();
+  }, 15000);
+  req.on('close', close);
+});
+
+// Get the webhook delivery log of a scan
+app.get('/api/scan/:scanId/webhooks', authenticateAPIKey, async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const scan = await scanResults.get(scanId);
+    
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    
+    res.json({
+      scanId,
+      webhookUrl: scan.webhook?.url || null,
+      signed: Boolean(scan.webhook?.secret),
+      deliveries: scan.webhookDeliveries || []
+    });
+  } catch (error) {
+    logger.error('Error getting webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to get webhook deliveries' });
+  }
 });
 
 // Get scan results
 app.get('/api/scan/:scanId/results', authenticateAPIKey, async (req, res) => {
-  const { scanId } = req.params;
-  const scan = scanResults.get(scanId);
-  
-  if (!scan) {
-    return res.status(404).json({ error: 'Scan not found' });
+  try {
+    const { scanId } = req.params;
+    const scan = await scanResults.get(scanId);
+    
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    
+    // Cancelled scans keep the pages collected before they were stopped
+    if (!['completed', 'cancelled'].includes(scan.status)) {
+      return res.status(400).json({ 
+        error: 'Scan not completed',
+        status: scan.status 
+      });
+    }
+    
+    res.json({
+      scanId: scan.scanId,
+      status: scan.status,
+      domain: scan.domain,
+      scanDate: scan.completedAt || scan.cancelledAt,
+      statistics: scan.statistics,
+      pages: scan.pages || [],
+      siteMap: scan.siteMap || {},
+      skippedUrls: scan.skippedUrls || [],
+      failedUrls: scan.failedUrls || [],
+      seeds: scan.seeds || null,
+      boilerplate: scan.boilerplate || [],
+      translations: scan.translations || [],
+      baseScanId: scan.baseScanId || null,
+      changes: scan.changes || null
+    });
+  } catch (error) {
+    logger.error('Error getting scan results:', error);
+    res.status(500).json({ error: 'Failed to get scan results' });
   }
-  
-  if (scan.status !== 'completed') {
-    return res.status(400).json({ 
-      error: 'Scan not completed',
-      status: scan.status 
+});
+
+// Compare two completed scans
+app.get('/api/scan/:scanId/diff/:otherScanId', authenticateAPIKey, async (req, res) => {
+  try {
+    const { scanId, otherScanId } = req.params;
+    const scans = await Promise.all([scanResults.get(scanId), scanResults.get(otherScanId)]);
+    
+    for (const [index, scan] of scans.entries()) {
+      if (!scan) {
+        return res.status(404).json({ error: 'Scan not found', scanId: index === 0 ? scanId : otherScanId });
+      }
+      if (scan.status !== 'completed') {
+        return res.status(400).json({
+          error: 'Scan not completed',
+          scanId: scan.scanId,
+          status: scan.status
+        });
+      }
+    }
+    
+    res.json(diffScans(scans[0], scans[1]));
+  } catch (error) {
+    logger.error('Error comparing scans:', error);
+    res.status(500).json({ error: 'Failed to compare scans' });
+  }
+});
+
+// Full-text search over the chunks and Q&A pairs of a completed scan
+app.get('/api/scan/:scanId/search', authenticateAPIKey, async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const query = (req.query.q || '').trim();
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 10;
+    const { type } = req.query;
+    
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ error: 'limit must be an integer from 1 to 50' });
+    }
+    if (type !== undefined && !['chunk', 'qa'].includes(type)) {
+      return res.status(400).json({ error: 'type must be chunk or qa' });
+    }
+    
+    const scan = await scanResults.get(scanId);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    if (scan.status !== 'completed') {
+      return res.status(400).json({ error: 'Scan not completed', status: scan.status });
+    }
+    
+    const index = getSearchIndex(scan);
+    const results = index.search(query, { limit, type });
+    
+    res.json({
+      scanId,
+      query,
+      indexedDocuments: index.size,
+      results
     });
+  } catch (error) {
+    logger.error('Error searching scan:', error);
+    res.status(500).json({ error: 'Failed to search scan' });
   }
-  
+});
+
+// Measure how well a completed scan answers a set of expected questions
+app.post('/api/scan/:scanId/evaluate', authenticateAPIKey, async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const { error, value } = validateEvaluationRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid evaluation request', details: error.message });
+    }
+    
+    const scan = await scanResults.get(scanId);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    if (scan.status !== 'completed') {
+      return res.status(400).json({ error: 'Scan not completed', status: scan.status });
+    }
+    
+    const questions = value.questions.map(item => (typeof item === 'string' ? { question: item } : item));
+    const report = evaluateRetrieval(getSearchIndex(scan), scan.pages || [], questions, {
+      k: value.k,
+      minCoverage: value.minCoverage
+    });
+    
+    res.json({ scanId, ...report });
+  } catch (error) {
+    logger.error('Error evaluating scan:', error);
+    res.status(500).json({ error: 'Failed to evaluate scan' });
+  }
+});
+
+// List the extractors /api/extract accepts; custom ones also run on every scanned page
+app.get('/api/extractors', authenticateAPIKey, (req, res) => {
   res.json({
-    scanId: scan.scanId,
-    domain: scan.domain,
-    scanDate: scan.completedAt,
-    statistics: scan.statistics,
-    pages: scan.pages || [],
-    siteMap: scan.siteMap || {}
+    builtIn: BUILTIN_EXTRACTORS,
+    custom: getExtractors().map(({ name, outputKey, description, toText }) => ({
+      name,
+      outputKey,
+      description,
+      textExport: Boolean(toText)
+    }))
   });
 });
 
 // Extract content from a single URL
 app.post('/api/extract', authenticateAPIKey, async (req, res) => {
   try {
-    const { url, extractors = ['qa', 'content', 'metadata'] } = req.body;
-    
-    if (!url) {
+    if (!req.body.url) {
       return res.status(400).json({ error: 'URL is required' });
     }
     
-    const scanner = new WebsiteScanner();
+    const { error, value } = validateExtractRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid extract request', details: error.message });
+    }
+    
+    const { url, extractors, render, synthesizeQA } = value;
+    const scanner = new WebsiteScanner({ render, synthesizeQA, profiles: await profileStore.list() });
     const result = await scanner.extractFromUrl(url, extractors);
     
     res.json(result);
@@ -254,20 +503,43 @@ app.post('/api/extract', authenticateAPIKey, async (req, res) => {
 // Export scan results in various formats
 app.post('/api/export', authenticateAPIKey, async (req, res) => {
   try {
-    const { scanId, format = 'json' } = req.body;
+    const { scanId, format = 'json', chunkStrategy, chunkSize, chunkOverlap, textFormat, changeStatus } = req.body;
     
     if (!scanId) {
       return res.status(400).json({ error: 'Scan ID is required' });
     }
     
-    const scan = scanResults.get(scanId);
+    const changeStatuses = ['added', 'changed', 'unchanged'];
+    if (changeStatus !== undefined &&
+        (!Array.isArray(changeStatus) || !changeStatus.every(status => changeStatuses.includes(status)))) {
+      return res.status(400).json({ error: `changeStatus must be an array of: ${changeStatuses.join(', ')}` });
+    }
+    
+    const { error: chunkingError, value: chunking } = validateChunkingOptions({ chunkStrategy, chunkSize, chunkOverlap, textFormat });
+    if (chunkingError) {
+      return res.status(400).json({ error: 'Invalid chunking options', details: chunkingError.message });
+    }
+    
+    const scan = await scanResults.get(scanId);
     
     if (!scan || scan.status !== 'completed') {
       return res.status(404).json({ error: 'Completed scan not found' });
     }
     
+    // Incremental scans can export just the pages that are new or changed
+    const pages = changeStatus
+      ? scan.pages.filter(page => changeStatus.includes(page.changeStatus))
+      : scan.pages;
+    
     const scanner = new WebsiteScanner();
-    const exportData = await scanner.exportData(scan.pages, format, scan.domain);
+    const exportData = await scanner.exportData(pages, format, scan.domain, {
+      chunking: {
+        strategy: chunking.chunkStrategy,
+        chunkSize: chunking.chunkSize,
+        chunkOverlap: chunking.chunkOverlap,
+        textFormat: chunking.textFormat
+      }
+    });
     
     // Send appropriate content type based on format
     const contentTypes = {
@@ -289,7 +561,7 @@ app.post('/api/export', authenticateAPIKey, async (req, res) => {
 // Batch scan multiple URLs
 app.post('/api/batch', authenticateAPIKey, async (req, res) => {
   try {
-    const { urls, options = {} } = req.body;
+    const { urls } = req.body;
     
     if (!urls || !Array.isArray(urls) || urls.length === 0) {
       return res.status(400).json({ error: 'URLs array is required' });
@@ -299,32 +571,26 @@ app.post('/api/batch', authenticateAPIKey, async (req, res) => {
       return res.status(400).json({ error: 'Maximum 10 URLs per batch' });
     }
     
+    const { error, value } = validateBatchRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid batch request', details: error.message });
+    }
+    const { webhookUrl, webhookSecret } = value;
+    
+    // Every scan of the batch gets the defaults and normalization of a single scan
+    const scanOptions = buildScanOptions(value.options);
     const batchId = uuidv4();
     const jobs = [];
     
-    for (const url of urls) {
-      const jobId = uuidv4();
-      const job = await scanQueue.add({
-        scanId: jobId,
-        url,
-        options,
-        batchId
+    for (const url of value.urls) {
+      const { scanId, status } = await createScan(url, scanOptions, {
+        batchId,
+        webhook: webhookUrl ? { url: webhookUrl, secret: webhookSecret || null } : null
       });
-      
       jobs.push({
-        jobId,
+        jobId: scanId,
         url,
-        status: 'queued'
-      });
-      
-      scanResults.set(jobId, {
-        scanId: jobId,
-        status: 'queued',
-        progress: 0,
-        url,
-        batchId,
-        jobId: job.id,
-        createdAt: new Date().toISOString()
+        status
       });
     }
     
@@ -339,149 +605,537 @@ app.post('/api/batch', authenticateAPIKey, async (req, res) => {
   }
 });
 
-// Get batch status
-app.get('/api/batch/:batchId/status', authenticateAPIKey, async (req, res) => {
-  const { batchId } = req.params;
-  const jobs = [];
-  
-  for (const [scanId, scan] of scanResults) {
-    if (scan.batchId === batchId) {
-      jobs.push({
-        jobId: scan.scanId,
-        url: scan.url,
-        status: scan.status,
-        progress: scan.progress || 0
+// Cancel a queued, running or paused scan
+app.post('/api/scan/:scanId/cancel', authenticateAPIKey, async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const scan = await scanResults.get(scanId);
+    
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    
+    if (!['queued', 'processing', 'paused'].includes(scan.status)) {
+      return res.status(409).json({ error: `Scan is already ${scan.status}`, status: scan.status });
+    }
+    
+    const active = activeScans.get(scanId);
+    if (active) {
+      // The scan records its own cancelled state once the crawl stops
+      active.scanner.cancel();
+      await active.finished.catch(() => {});
+    } else {
+      await removeQueuedJob(scan);
+      await deleteCheckpoint(scanId);
+      await scanResults.update(scanId, {
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString(),
+        message: 'Scan cancelled'
       });
+      publishScanEvent(scanId, 'status', { status: 'cancelled' });
+      notifyWebhook(scanId, 'cancelled');
     }
+    
+    const updated = await scanResults.get(scanId);
+    logger.info(`Scan cancelled: ${scanId}`);
+    res.json({ scanId, status: updated.status, message: updated.message });
+  } catch (error) {
+    logger.error('Error cancelling scan:', error);
+    res.status(500).json({ error: 'Failed to cancel scan' });
   }
-  
-  if (jobs.length === 0) {
-    return res.status(404).json({ error: 'Batch not found' });
+});
+
+// Pause a queued or running scan, keeping a checkpoint to resume from
+app.post('/api/scan/:scanId/pause', authenticateAPIKey, async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const scan = await scanResults.get(scanId);
+    
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    
+    const active = activeScans.get(scanId);
+    if (active) {
+      active.scanner.pause();
+      await active.finished.catch(() => {});
+    } else if (scan.status === 'queued') {
+      await removeQueuedJob(scan);
+      await scanResults.update(scanId, {
+        status: 'paused',
+        message: 'Scan paused before it started'
+      });
+      publishScanEvent(scanId, 'status', { status: 'paused' });
+    } else {
+      return res.status(409).json({
+        error: scan.status === 'processing' ? 'Scan is not running on this server' : `Scan is ${scan.status}`,
+        status: scan.status
+      });
+    }
+    
+    const updated = await scanResults.get(scanId);
+    logger.info(`Scan paused: ${scanId}`);
+    res.json({ scanId, status: updated.status, pagesScanned: updated.pagesScanned || 0, message: updated.message });
+  } catch (error) {
+    logger.error('Error pausing scan:', error);
+    res.status(500).json({ error: 'Failed to pause scan' });
   }
-  
-  const completed = jobs.filter(j => j.status === 'completed').length;
-  const failed = jobs.filter(j => j.status === 'failed').length;
-  
-  res.json({
-    batchId,
-    totalJobs: jobs.length,
-    completed,
-    failed,
-    inProgress: jobs.length - completed - failed,
-    jobs
-  });
 });
 
-// Function to process scan directly without queue
-async function processScanDirectly(scanId, url, options) {
+// Resume a paused scan from its last checkpoint
+app.post('/api/scan/:scanId/resume', authenticateAPIKey, async (req, res) => {
   try {
-    logger.info(`Processing scan ${scanId} for ${url}`);
+    const { scanId } = req.params;
+    const scan = await scanResults.get(scanId);
     
-    // Get scan object
-    const scan = scanResults.get(scanId);
     if (!scan) {
-      logger.error(`Scan ${scanId} not found`);
-      return;
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    
+    if (scan.status !== 'paused') {
+      return res.status(409).json({ error: `Scan is ${scan.status}, not paused`, status: scan.status });
     }
     
-    const scanner = new WebsiteScanner(options);
+    if (!scan.options) {
+      return res.status(409).json({ error: 'Scan was created without stored options and cannot be resumed' });
+    }
     
-    // Set up progress reporting
-    scanner.on('progress', (data) => {
-      if (scan) {
-        scan.progress = data.progress;
-        scan.pagesScanned = data.pagesScanned;
-        scan.message = data.message;
-      }
+    const checkpoint = await checkpoints.get(scanId);
+    const status = await startScanProcessing(scanId, scan.url, scan.options);
+    logger.info(`Scan resumed: ${scanId}`);
+    
+    res.json({
+      scanId,
+      status,
+      pagesScanned: scan.pagesScanned || 0,
+      message: checkpoint ? 'Scan resumed from checkpoint' : 'Scan restarted'
     });
+  } catch (error) {
+    logger.error('Error resuming scan:', error);
+    res.status(500).json({ error: 'Failed to resume scan' });
+  }
+});
+
+// Delete a scan and its results
+app.delete('/api/scan/:scanId', authenticateAPIKey, async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const scan = await scanResults.get(scanId);
     
-    // Execute the scan
-    const results = await scanner.crawl(url);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
     
-    // Store results
-    if (scan) {
-      scan.status = 'completed';
-      scan.completedAt = new Date().toISOString();
-      scan.domain = results.domain;
-      scan.statistics = results.statistics;
-      scan.pages = results.pages;
-      scan.siteMap = results.siteMap;
-      scan.message = 'Scan completed successfully';
-      scan.progress = 100;
+    // Stop any work still pending for the scan before removing it
+    const active = activeScans.get(scanId);
+    if (active) {
+      active.scanner.cancel();
+      await active.finished.catch(() => {});
+    } else if (scan.status === 'queued') {
+      await removeQueuedJob(scan);
     }
     
-    logger.info(`Scan completed: ${scanId}`);
-    return results;
+    await deleteCheckpoint(scanId);
+    await scanResults.delete(scanId);
+    logger.info(`Scan deleted: ${scanId}`);
+    
+    res.json({ scanId, deleted: true });
   } catch (error) {
-    logger.error(`Scan failed for ${scanId}:`, error);
+    logger.error('Error deleting scan:', error);
+    res.status(500).json({ error: 'Failed to delete scan' });
+  }
+});
+
+// Get batch status
+app.get('/api/batch/:batchId/status', authenticateAPIKey, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const jobs = [];
     
-    const scan = scanResults.get(scanId);
-    if (scan) {
-      scan.status = 'failed';
-      scan.error = error.message;
-      scan.message = 'Scan failed: ' + error.message;
+    for (const scan of await scanResults.list()) {
+      if (scan.batchId === batchId) {
+        jobs.push({
+          jobId: scan.scanId,
+          url: scan.url,
+          status: scan.status,
+          progress: scan.progress || 0
+        });
+      }
     }
     
-    throw error;
+    if (jobs.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    const completed = jobs.filter(j => j.status === 'completed').length;
+    const failed = jobs.filter(j => j.status === 'failed').length;
+    const cancelled = jobs.filter(j => j.status === 'cancelled').length;
+    const paused = jobs.filter(j => j.status === 'paused').length;
+    
+    res.json({
+      batchId,
+      totalJobs: jobs.length,
+      completed,
+      failed,
+      cancelled,
+      paused,
+      inProgress: jobs.length - completed - failed - cancelled - paused,
+      jobs
+    });
+  } catch (error) {
+    logger.error('Error getting batch status:', error);
+    res.status(500).json({ error: 'Failed to get batch status' });
   }
+});
+
+// Scanners running in this process, so pause/cancel requests can reach them
+const activeScans = new Map();
+
+// Live scan events for Server-Sent Events subscribers, keyed by scan ID
+const scanEvents = new EventEmitter();
+scanEvents.setMaxListeners(0);
+
+// A paused scan can still be resumed, so it is not final
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Search indexes of recently searched scans, rebuilt when a scan's results change
+const searchIndexes = new Map();
+const MAX_SEARCH_INDEXES = 5;
+
+// Minimum time between two stored progress updates of a running scan
+const PROGRESS_WRITE_INTERVAL = 1000;
+
+function getSearchIndex(scan) {
+  const cached = searchIndexes.get(scan.scanId);
+  const index = cached && cached.completedAt === scan.completedAt
+    ? cached.index
+    : buildSearchIndex(scan.pages || []);
+  
+  // Re-inserting keeps the most recently used indexes at the end
+  searchIndexes.delete(scan.scanId);
+  searchIndexes.set(scan.scanId, { completedAt: scan.completedAt, index });
+  if (searchIndexes.size > MAX_SEARCH_INDEXES) {
+    searchIndexes.delete(searchIndexes.keys().next().value);
+  }
+  return index;
 }
 
-// Process scan jobs (if queue is available)
-if (scanQueue) {
-scanQueue.process(async (job) => {
-  const { scanId, url, options } = job.data;
+function publishScanEvent(scanId, event, data) {
+  scanEvents.emit(scanId, event, data);
+}
+
+// Deliveries run in the background and retry on their own
+function notifyWebhook(scanId, event) {
+  webhooks.deliver(scanId, event)
+    .catch(error => logger.error(`Webhook delivery for ${scanId} failed:`, error));
+}
+
+// Normalizes the scan options of a request, applying defaults
+function buildScanOptions(options = {}) {
+  return {
+    maxPages: options.maxPages || 50,
+    maxDepth: options.maxDepth || 3,
+    delay: options.delay || 500,
+    concurrency: options.concurrency || 1,
+    burst: options.burst || 1,
+    minQualityScore: options.minQualityScore ?? 30,
+    pageTypes: options.pageTypes || null,
+    languages: options.languages || null,
+    includeContent: options.includeContent !== false,
+    includeDocuments: options.includeDocuments === true,
+    maxDocumentSize: options.maxDocumentSize,
+    seedFromSitemaps: options.seedFromSitemaps === true,
+    synthesizeQA: options.synthesizeQA === true,
+    contentDetection: options.contentDetection,
+    boilerplateThreshold: options.boilerplateThreshold,
+    respectRobotsTxt: options.respectRobotsTxt !== false,
+    retries: options.retries,
+    retryBaseDelay: options.retryBaseDelay,
+    retryMaxDelay: options.retryMaxDelay,
+    checkpointInterval: options.checkpointInterval,
+    render: options.render || 'static',
+    scope: options.scope || 'host',
+    scopePath: options.scopePath,
+    includePatterns: options.includePatterns,
+    excludePatterns: options.excludePatterns,
+    useDefaultExcludes: options.useDefaultExcludes !== false
+  };
+}
+
+// Store a new scan and queue or start it. `fields` adds to the stored record (webhook, baseScanId, ...).
+async function createScan(url, scanOptions, fields = {}) {
+  const scanId = uuidv4();
+  await scanResults.set(scanId, {
+    scanId,
+    status: scanQueue ? 'queued' : 'processing',
+    progress: 0,
+    url,
+    options: scanOptions,
+    baseScanId: null,
+    webhook: null,
+    ...fields,
+    createdAt: new Date().toISOString()
+  });
+  
+  const status = await startScanProcessing(scanId, url, scanOptions);
+  logger.info(`Scan initiated (${scanQueue ? 'queued' : 'direct processing'}): ${scanId} for ${url}`);
+  return { scanId, status };
+}
+
+// Hand a stored scan to the Bull queue when available, otherwise run it in this process
+async function startScanProcessing(scanId, url, options) {
+  if (scanQueue) {
+    await scanResults.update(scanId, { status: 'queued', message: 'Scan queued for processing' });
+    const job = await scanQueue.add({ scanId, url, options });
+    await scanResults.update(scanId, { jobId: job.id });
+    return 'queued';
+  }
+  
+  await scanResults.update(scanId, { status: 'processing', message: 'Scan in progress' });
+  
+  // Process scan in background (failures are recorded on the scan)
+  processScanDirectly(scanId, url, options).catch(() => {});
+  return 'processing';
+}
+
+async function removeQueuedJob(scan) {
+  if (!scanQueue || !scan.jobId) return;
   
+  try {
+    const job = await scanQueue.getJob(scan.jobId);
+    if (job) await job.remove();
+  } catch (error) {
+    logger.warn(`Could not remove job ${scan.jobId} for scan ${scan.scanId}:`, error.message);
+  }
+}
+
+// Run a scan and record progress and results in storage. A scan with a stored
+// checkpoint (paused, or interrupted by a crash) continues from that checkpoint.
+async function executeScan(scanId, url, options, job = null) {
   try {
     logger.info(`Processing scan ${scanId} for ${url}`);
     
-    // Update status to processing
-    const scan = scanResults.get(scanId);
-    if (scan) {
-      scan.status = 'processing';
-      scan.message = 'Scan in progress';
+    const scan = await scanResults.update(scanId, current => (
+      current.status === 'cancelled' ? {} : { status: 'processing', message: 'Scan in progress' }
+    ));
+    if (!scan || scan.status === 'cancelled') {
+      logger.error(`Scan ${scanId} not found or cancelled`);
+      return;
     }
     
-    const scanner = new WebsiteScanner(options);
+    const scanner = new WebsiteScanner({ ...options, profiles: await profileStore.list() });
     
-    // Set up progress reporting
+    // Set up progress reporting. Every event is published, but progress is stored at most
+    // once per PROGRESS_WRITE_INTERVAL as each write rewrites the scan record.
+    let lastProgressWrite = 0;
     scanner.on('progress', (data) => {
-      if (scan) {
-        scan.progress = data.progress;
-        scan.pagesScanned = data.pagesScanned;
-        scan.message = data.message;
+      const now = Date.now();
+      if (now - lastProgressWrite >= PROGRESS_WRITE_INTERVAL) {
+        lastProgressWrite = now;
+        scanResults.update(scanId, {
+          progress: data.progress,
+          pagesScanned: data.pagesScanned,
+          message: data.message
+        }).catch(error => logger.error(`Failed to record progress for ${scanId}:`, error));
+        
+        if (job) job.progress(data.progress);
       }
-      job.progress(data.progress);
+      publishScanEvent(scanId, 'progress', data);
     });
     
-    // Execute the scan
-    const results = await scanner.crawl(url);
+    scanner.on('page', (data) => {
+      publishScanEvent(scanId, 'page', data);
+    });
     
-    // Store results
-    if (scan) {
-      scan.status = 'completed';
-      scan.completedAt = new Date().toISOString();
-      scan.domain = results.domain;
-      scan.statistics = results.statistics;
-      scan.pages = results.pages;
-      scan.siteMap = results.siteMap;
-      scan.message = 'Scan completed successfully';
+    const checkpoint = await loadCheckpoint(scanId);
+    if (checkpoint) {
+      logger.info(`Resuming scan ${scanId} from checkpoint (${checkpoint.pagesScanned} pages scanned)`);
     }
     
-    logger.info(`Scan completed: ${scanId}`);
-    return results;
+    // Checkpoints are saved one at a time, each storing only the pages the previous one didn't
+    const savedPages = new Set(checkpoint ? checkpoint.pages.map(page => page.url) : []);
+    let checkpointSaved = Promise.resolve();
+    const saveNextCheckpoint = (next) => {
+      checkpointSaved = checkpointSaved
+        .then(() => saveCheckpoint(scanId, next, savedPages))
+        .catch(error => logger.error(`Failed to save checkpoint for ${scanId}:`, error));
+      return checkpointSaved;
+    };
+    scanner.on('checkpoint', saveNextCheckpoint);
+    
+    // Incremental scans compare against the pages of their base scan
+    let baseline = null;
+    let boilerplate = null;
+    if (scan.baseScanId) {
+      const baseScan = await scanResults.get(scan.baseScanId);
+      if (baseScan && baseScan.pages) {
+        baseline = baseScan.pages;
+        boilerplate = baseScan.boilerplate || null;
+      } else {
+        logger.warn(`Base scan ${scan.baseScanId} of ${scanId} is gone; running a full scan`);
+      }
+    }
+    
+    // Execute the scan
+    const finished = scanner.crawl(url, { checkpoint, baseline, boilerplate })
+      .then(async results => {
+        // The final checkpoint of a paused scan is written after any still being saved
+        if (results.checkpoint) await saveNextCheckpoint(results.checkpoint);
+        else await checkpointSaved;
+        return storeScanResults(scanId, results);
+      });
+    activeScans.set(scanId, { scanner, finished });
+    
+    try {
+      return await finished;
+    } finally {
+      activeScans.delete(scanId);
+    }
   } catch (error) {
     logger.error(`Scan failed for ${scanId}:`, error);
     
-    const scan = scanResults.get(scanId);
-    if (scan) {
-      scan.status = 'failed';
-      scan.error = error.message;
-      scan.message = 'Scan failed';
-    }
+    await scanResults.update(scanId, {
+      status: 'failed',
+      error: error.message,
+      message: 'Scan failed: ' + error.message
+    }).catch(storeError => logger.error(`Failed to record failure for ${scanId}:`, storeError));
+    publishScanEvent(scanId, 'status', { status: 'failed', error: error.message });
+    notifyWebhook(scanId, 'failed');
     
     throw error;
   }
-});
+}
+
+async function storeScanResults(scanId, results) {
+  if (results.stopReason === 'paused') {
+    await scanResults.update(scanId, {
+      status: 'paused',
+      pagesScanned: results.pagesScanned,
+      message: `Scan paused after ${results.pagesScanned} pages`
+    });
+    logger.info(`Scan paused: ${scanId}`);
+    publishScanEvent(scanId, 'status', { status: 'paused', pagesScanned: results.pagesScanned });
+    return results;
+  }
+  
+  const data = {
+    domain: results.domain,
+    statistics: results.statistics,
+    pages: results.pages,
+    siteMap: results.siteMap,
+    skippedUrls: results.skippedUrls,
+    failedUrls: results.failedUrls,
+    seeds: results.seeds,
+    boilerplate: results.boilerplate,
+    translations: results.translations,
+    changes: results.changes,
+    pagesScanned: results.pagesScanned
+  };
+  
+  await deleteCheckpoint(scanId);
+  
+  if (results.stopReason === 'cancelled') {
+    // Partial results are kept with the cancelled scan
+    await scanResults.update(scanId, {
+      ...data,
+      status: 'cancelled',
+      cancelledAt: new Date().toISOString(),
+      message: `Scan cancelled after ${results.pagesScanned} pages`
+    });
+    logger.info(`Scan cancelled: ${scanId}`);
+    publishScanEvent(scanId, 'status', { status: 'cancelled', pagesScanned: results.pagesScanned });
+    notifyWebhook(scanId, 'cancelled');
+    return results;
+  }
+  
+  // Store results, unless the scan was cancelled from elsewhere in the meantime
+  await scanResults.update(scanId, current => (current.status === 'cancelled' ? {} : {
+    ...data,
+    status: 'completed',
+    completedAt: new Date().toISOString(),
+    message: 'Scan completed successfully',
+    progress: 100
+  }));
+  
+  logger.info(`Scan completed: ${scanId}`);
+  publishScanEvent(scanId, 'status', {
+    status: 'completed',
+    pagesScanned: results.pagesScanned,
+    statistics: results.statistics
+  });
+  notifyWebhook(scanId, 'completed');
+  return results;
+}
+
+// Stores the crawl state of `checkpoint` and a chunk with its pages missing from `savedPages`
+// (the URLs of pages already stored), then adds those to `savedPages`
+async function saveCheckpoint(scanId, checkpoint, savedPages) {
+  const { pages, ...state } = checkpoint;
+  const stored = await checkpoints.get(scanId);
+  let chunks = stored ? stored.chunks : 0;
+  
+  const newPages = pages.filter(page => !savedPages.has(page.url));
+  if (newPages.length > 0) {
+    // The chunk is written first, so the stored state never counts a chunk that is missing
+    await checkpoints.set(`${scanId}-pages-${chunks}`, { pages: newPages });
+    chunks++;
+  }
+  await checkpoints.set(scanId, { ...state, chunks });
+  newPages.forEach(page => savedPages.add(page.url));
+}
+
+// The stored checkpoint of a scan with its pages, or null
+async function loadCheckpoint(scanId) {
+  const stored = await checkpoints.get(scanId);
+  if (!stored) return null;
+  
+  const { chunks, ...state } = stored;
+  const pages = [];
+  for (let i = 0; i < chunks; i++) {
+    const chunk = await checkpoints.get(`${scanId}-pages-${i}`);
+    if (!chunk) throw new Error(`Checkpoint of scan ${scanId} is missing page chunk ${i}`);
+    pages.push(...chunk.pages);
+  }
+  return { ...state, pages };
+}
+
+async function deleteCheckpoint(scanId) {
+  const stored = await checkpoints.get(scanId);
+  if (!stored) return;
+  
+  for (let i = 0; i < stored.chunks; i++) {
+    await checkpoints.delete(`${scanId}-pages-${i}`);
+  }
+  await checkpoints.delete(scanId);
+}
+
+// Function to process scan directly without queue
+function processScanDirectly(scanId, url, options) {
+  return executeScan(scanId, url, options);
+}
+
+// Scans left running by a previous process become paused so they can be resumed.
+// With the Bull queue, stalled jobs are retried and resume from their checkpoint instead.
+async function recoverInterruptedScans() {
+  if (scanQueue) return;
+  
+  for (const scan of await scanResults.list()) {
+    if (scan.status === 'processing') {
+      await scanResults.update(scan.scanId, {
+        status: 'paused',
+        message: 'Scan interrupted by a server restart; resume to continue'
+      });
+      logger.info(`Marked interrupted scan ${scan.scanId} as paused`);
+    }
+  }
+}
+
+// Process scan jobs (if queue is available)
+if (scanQueue) {
+  scanQueue.process(async (job) => {
+    const { scanId, url, options } = job.data;
+    return executeScan(scanId, url, options, job);
+  });
 }
 
 // Error handling middleware
@@ -507,12 +1161,35 @@ async function startServer() {
         await redisClient.connect();
         logger.info('Connected to Redis');
       } catch (redisError) {
+        // Scans can't be stored without Redis when it is the storage backend
+        if (process.env.STORAGE_BACKEND === 'redis') throw redisError;
         logger.warn('Redis not available, running without caching:', redisError.message);
       }
     } else {
       logger.info('Running without Redis (disabled)');
     }
     
+    // Periodically drop expired scans (Redis expires them on its own)
+    setInterval(() => {
+      scanResults.cleanup()
+        .then(removed => removed && logger.info(`Removed ${removed} expired scans`))
+        .catch(error => logger.error('Scan cleanup failed:', error));
+    }, 60 * 60 * 1000).unref();
+    
+    // Custom extractors (EXTRACTOR_PLUGINS_DIR), registered before any scan starts
+    if (process.env.EXTRACTOR_PLUGINS_DIR) {
+      const { loaded, failed } = loadPlugins(process.env.EXTRACTOR_PLUGINS_DIR);
+      if (loaded.length > 0) logger.info(`Loaded extractors: ${loaded.join(', ')}`);
+      for (const { file, error } of failed) {
+        logger.error(`Failed to load extractor plugin ${file}: ${error}`);
+      }
+    }
+    
+    await recoverInterruptedScans();
+    
+    // Runs missed while the server was down start on the first check
+    scheduler.start().catch(error => logger.error('Schedule check failed:', error));
+    
     // Start Express server
     app.listen(PORT, () => {
       logger.info(`RAG Collector API running on port ${PORT}`);
@@ -527,8 +1204,19 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scheduler.stop();
+  
+  // Pause running scans so they keep a checkpoint to resume from
+  const running = Array.from(activeScans.values());
+  running.forEach(({ scanner }) => scanner.pause());
+  await Promise.race([
+    Promise.all(running.map(({ finished }) => finished.catch(() => {}))),
+    new Promise(resolve => setTimeout(resolve, 10000))
+  ]);
+  
   if (scanQueue) await scanQueue.close();
   if (redisClient) await redisClient.quit();
+  await browserPool.close();
   process.exit(0);
 });
 
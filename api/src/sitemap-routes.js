@@ -14,8 +14,8 @@ router.get('/scan/:scanId/sitemap', async (req, res) => {
     const { scanId } = req.params;
     const { format = 'json' } = req.query;
     
-    // Get scan from storage (assuming scanResults Map exists)
-    const scan = scanResults.get(scanId);
+    // Get scan from storage
+    const scan = await scanResults.get(scanId);
     
     if (!scan) {
       return res.status(404).json({ error: 'Scan not found' });
@@ -75,7 +75,7 @@ router.get('/scan/:scanId/sitemap', async (req, res) => {
 router.get('/scan/:scanId/network', async (req, res) => {
   try {
     const { scanId } = req.params;
-    const scan = scanResults.get(scanId);
+    const scan = await scanResults.get(scanId);
     
     if (!scan || scan.status !== 'completed') {
       return res.status(404).json({ error: 'Completed scan not found' });
@@ -118,7 +118,7 @@ router.get('/scan/:scanId/network', async (req, res) => {
 router.get('/scan/:scanId/tree', async (req, res) => {
   try {
     const { scanId } = req.params;
-    const scan = scanResults.get(scanId);
+    const scan = await scanResults.get(scanId);
     
     if (!scan || scan.status !== 'completed') {
       return res.status(404).json({ error: 'Completed scan not found' });
@@ -0,0 +1,263 @@
+// Pluggable persistence for scans and other API records
+//
+// Every store exposes the same async interface: get, set, update, delete, list and cleanup.
+// Records are plain JSON objects keyed by id inside a namespace ("scans", ...).
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class BaseStore {
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    // Time-to-live in seconds, refreshed on every write; 0 keeps records forever
+    this.ttl = options.ttl || 0;
+    this.locks = new Map();
+  }
+
+  // Serializes read-modify-write cycles per record so concurrent updates don't overwrite each other
+  withLock(id, fn) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.locks.set(id, current);
+    current.catch(() => {}).then(() => {
+      if (this.locks.get(id) === current) this.locks.delete(id);
+    });
+    return current;
+  }
+
+  stamp(record) {
+    if (!this.ttl) return record;
+    return { ...record, expiresAt: new Date(Date.now() + this.ttl * 1000).toISOString() };
+  }
+
+  isExpired(record) {
+    return Boolean(record && record.expiresAt && Date.parse(record.expiresAt) <= Date.now());
+  }
+
+  async set(id, record) {
+    return this.withLock(id, () => this.write(id, this.stamp(record)));
+  }
+
+  // Merges `patch` (an object, or a function of the current record) into an existing record.
+  // Returns the updated record, or null when it no longer exists.
+  async update(id, patch) {
+    return this.withLock(id, async () => {
+      const current = await this.get(id);
+      if (!current) return null;
+
+      const changes = typeof patch === 'function' ? patch(current) : patch;
+      const updated = this.stamp({ ...current, ...changes });
+      await this.write(id, updated);
+      return updated;
+    });
+  }
+
+  async delete(id) {
+    return this.withLock(id, () => this.remove(id));
+  }
+
+  async cleanup() {
+    return 0;
+  }
+}
+
+class MemoryStore extends BaseStore {
+  constructor(namespace, options) {
+    super(namespace, options);
+    this.records = new Map();
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    if (!record) return null;
+    if (this.isExpired(record)) {
+      this.records.delete(id);
+      return null;
+    }
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  async write(id, record) {
+    this.records.set(id, JSON.parse(JSON.stringify(record)));
+    return record;
+  }
+
+  async remove(id) {
+    return this.records.delete(id);
+  }
+
+  async list() {
+    const records = [];
+    for (const id of this.records.keys()) {
+      const record = await this.get(id);
+      if (record) records.push(record);
+    }
+    return records;
+  }
+
+  async cleanup() {
+    let removed = 0;
+    for (const [id, record] of this.records) {
+      if (this.isExpired(record)) {
+        this.records.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+class FileStore extends BaseStore {
+  constructor(namespace, options = {}) {
+    super(namespace, options);
+    this.dir = path.join(options.dir || path.join(process.cwd(), 'data'), namespace);
+    this.ready = null;
+  }
+
+  async ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  filePath(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async get(id) {
+    const file = this.filePath(id);
+    if (!file) return null;
+
+    const record = await this.read(file);
+    if (this.isExpired(record)) {
+      await fs.rm(file, { force: true });
+      return null;
+    }
+    return record;
+  }
+
+  async write(id, record) {
+    const file = this.filePath(id);
+    if (!file) throw new Error(`Invalid record id: ${id}`);
+
+    await this.ensureDir();
+    // Write to a temporary file first so readers never see a partial record
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(record));
+    await fs.rename(tmpFile, file);
+    return record;
+  }
+
+  async remove(id) {
+    const file = this.filePath(id);
+    if (!file) return false;
+
+    const existed = (await this.read(file)) !== null;
+    await fs.rm(file, { force: true });
+    return existed;
+  }
+
+  async ids() {
+    await this.ensureDir();
+    const files = await fs.readdir(this.dir);
+    return files.filter(name => name.endsWith('.json')).map(name => name.slice(0, -5));
+  }
+
+  async list() {
+    const records = [];
+    for (const id of await this.ids()) {
+      const record = await this.get(id);
+      if (record) records.push(record);
+    }
+    return records;
+  }
+
+  async cleanup() {
+    let removed = 0;
+    for (const id of await this.ids()) {
+      const file = this.filePath(id);
+      const record = await this.read(file);
+      if (this.isExpired(record)) {
+        await fs.rm(file, { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+class RedisStore extends BaseStore {
+  constructor(namespace, options = {}) {
+    super(namespace, options);
+    if (!options.client) {
+      throw new Error('Redis storage requires a Redis client');
+    }
+    this.client = options.client;
+    this.prefix = `${options.prefix || 'rag-collector'}:${namespace}:`;
+  }
+
+  async get(id) {
+    const value = await this.client.get(this.prefix + id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async write(id, record) {
+    // Redis expires keys itself, so the TTL is applied natively as well
+    const options = this.ttl ? { EX: this.ttl } : undefined;
+    await this.client.set(this.prefix + id, JSON.stringify(record), options);
+    return record;
+  }
+
+  async remove(id) {
+    return (await this.client.del(this.prefix + id)) > 0;
+  }
+
+  async list() {
+    const records = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*` })) {
+      const value = await this.client.get(key);
+      if (value) records.push(JSON.parse(value));
+    }
+    return records;
+  }
+}
+
+const backends = {
+  memory: MemoryStore,
+  file: FileStore,
+  redis: RedisStore
+};
+
+// Creates a store for `namespace` using STORAGE_BACKEND (file, redis or memory; default file)
+function createStore(namespace, options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'file';
+  const Store = backends[backend];
+  if (!Store) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  return new Store(namespace, {
+    dir: process.env.STORAGE_DIR,
+    ...options
+  });
+}
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  FileStore,
+  RedisStore
+};
@@ -0,0 +1,116 @@
+// Crawl scope and include/exclude URL pattern rules
+//
+// Patterns are globs matched against the URL path and query (`/docs/**`, `**/print/*`),
+// globs containing "://" are matched against the whole URL, and patterns prefixed with
+// `re:` are regular expressions tested against the whole URL (`re:/v\d+/`).
+
+const { URL } = require('url');
+
+const SCOPE_MODES = ['host', 'subdomains', 'path'];
+
+const REGEX_PREFIX = 're:';
+
+// Account, checkout and build-asset pages that never hold useful content
+const DEFAULT_EXCLUDE_PATTERNS = [
+  '**/login**', '**/logout**', '**/signin**', '**/signup**', '**/register**',
+  '**/cart**', '**/checkout**', '**/payment**',
+  '**/wp-admin**', '**/_next/**'
+];
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // A trailing "/**" also matches the directory itself ("/docs/**" matches "/docs")
+      if (glob[i - 1] === '/' && i + 2 === glob.length) {
+        source = `${source.slice(0, -1)}(?:/.*)?`;
+      } else {
+        source += '.*';
+      }
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Compiles a pattern into { pattern, test(url) }; throws on an invalid regex.
+// Regexes are case-insensitive, like globs.
+function compilePattern(pattern) {
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    const regex = new RegExp(pattern.slice(REGEX_PREFIX.length), 'i');
+    return { pattern, test: url => regex.test(url.href) };
+  }
+
+  const regex = globToRegExp(pattern);
+  const matchesWholeUrl = pattern.includes('://');
+  return {
+    pattern,
+    test: url => regex.test(matchesWholeUrl ? url.href : url.pathname + url.search)
+  };
+}
+
+class UrlRules {
+  constructor(options = {}, startUrl) {
+    const start = new URL(startUrl);
+    this.scope = SCOPE_MODES.includes(options.scope) ? options.scope : 'host';
+    this.baseDomain = start.hostname.replace(/^www\./, '');
+
+    // Path scope defaults to the start URL's directory
+    let scopePath = options.scopePath || start.pathname.replace(/[^/]*$/, '');
+    if (!scopePath.startsWith('/')) scopePath = `/${scopePath}`;
+    this.scopePath = scopePath.replace(/\/+$/, '');
+
+    const excludePatterns = [
+      ...(options.useDefaultExcludes !== false ? DEFAULT_EXCLUDE_PATTERNS : []),
+      ...(options.excludePatterns || [])
+    ];
+    this.includes = (options.includePatterns || []).map(compilePattern);
+    this.excludes = excludePatterns.map(compilePattern);
+  }
+
+  inScope(url) {
+    const hostname = url.hostname.replace(/^www\./, '');
+
+    if (this.scope === 'subdomains') {
+      return hostname === this.baseDomain || hostname.endsWith(`.${this.baseDomain}`);
+    }
+    if (hostname !== this.baseDomain) return false;
+
+    if (this.scope === 'path' && this.scopePath) {
+      return url.pathname === this.scopePath || url.pathname.startsWith(`${this.scopePath}/`);
+    }
+    return true;
+  }
+
+  // Returns why `url` is out of bounds ("scope", "exclude" or "include"), or null when it may be crawled
+  check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'scope';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol) || !this.inScope(parsed)) return 'scope';
+    if (this.excludes.some(rule => rule.test(parsed))) return 'exclude';
+    if (this.includes.length > 0 && !this.includes.some(rule => rule.test(parsed))) return 'include';
+    return null;
+  }
+
+  allows(url) {
+    return this.check(url) === null;
+  }
+}
+
+module.exports = {
+  UrlRules,
+  SCOPE_MODES,
+  DEFAULT_EXCLUDE_PATTERNS,
+  compilePattern
+};
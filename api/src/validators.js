@@ -1,45 +1,202 @@
 const Joi = require('joi');
+const cheerio = require('cheerio');
+const { CHUNK_STRATEGIES, TEXT_FORMATS } = require('./chunker');
+const { SCOPE_MODES, compilePattern } = require('./url-rules');
+const { CONTENT_STRATEGIES } = require('./content-detector');
+const { nextRun } = require('./scheduler');
+const { BUILTIN_EXTRACTORS, getExtractor } = require('./extractors');
+
+const webhookFields = {
+  webhookUrl: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+  webhookSecret: Joi.string().min(8).max(256).optional()
+};
+
+const urlPattern = Joi.string().max(500).custom((value, helpers) => {
+  try {
+    compilePattern(value);
+    return value;
+  } catch (error) {
+    return helpers.message(`"${value}" is not a valid pattern: ${error.message}`);
+  }
+});
+
+const crawlScopeFields = {
+  scope: Joi.string().valid(...SCOPE_MODES).default('host'),
+  scopePath: Joi.string().pattern(/^\//).max(500).optional(),
+  includePatterns: Joi.array().items(urlPattern).max(50).optional(),
+  excludePatterns: Joi.array().items(urlPattern).max(50).optional(),
+  useDefaultExcludes: Joi.boolean().default(true)
+};
+
+const PAGE_TYPES = [
+  'FAQ', 'Documentation', 'Support', 'Guide', 
+  'Troubleshooting', 'API Documentation', 'Knowledge Base',
+  'Product', 'Service', 'Contact', 'About', 'Blog/Article', 'Other'
+];
+
+// Short names accepted before page types matched the classifier's labels
+const PAGE_TYPE_ALIASES = ['API', 'Blog'];
+
+function isValidSelector(selector) {
+  try {
+    cheerio.load('')(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const cssSelector = Joi.string().max(200).custom((value, helpers) => (
+  isValidSelector(value) ? value : helpers.message(`"${value}" is not a valid CSS selector`)
+));
+
+// A content detection step is a strategy name or a CSS selector
+const contentDetectionStep = Joi.string().max(200).custom((value, helpers) => {
+  if (CONTENT_STRATEGIES.includes(value) || isValidSelector(value)) return value;
+  return helpers.message(`"${value}" is neither a strategy (${CONTENT_STRATEGIES.join(', ')}) nor a valid selector`);
+});
+
+const contentDetectionFields = {
+  contentDetection: Joi.array().items(contentDetectionStep).min(1).max(10).optional(),
+  boilerplateThreshold: Joi.number().min(0.1).max(1).default(0.6)
+};
+
+// Primary language subtags ("en", "he"), to keep only pages in these languages
+const languagesField = Joi.array().items(
+  Joi.string().pattern(/^[a-z]{2,3}$/, 'language code')
+).min(1).max(20).optional();
+
+// Scan options, shared by scans, batches and schedules
+const scanOptionsSchema = Joi.object({
+  maxPages: Joi.number().integer().min(1).max(500).default(50),
+  maxDepth: Joi.number().integer().min(1).max(10).default(3),
+  delay: Joi.number().integer().min(100).max(5000).default(500),
+  concurrency: Joi.number().integer().min(1).max(10).default(1),
+  burst: Joi.number().integer().min(1).max(10).default(1),
+  retries: Joi.number().integer().min(0).max(10).default(2),
+  retryBaseDelay: Joi.number().integer().min(100).max(60000).default(1000),
+  retryMaxDelay: Joi.number().integer().min(100).max(300000).default(30000),
+  checkpointInterval: Joi.number().integer().min(1).max(500).default(10),
+  render: Joi.string().valid('static', 'browser', 'auto').default('static'),
+  minQualityScore: Joi.number().integer().min(0).max(100).default(30),
+  pageTypes: Joi.array().items(Joi.string().valid(...PAGE_TYPES, ...PAGE_TYPE_ALIASES)).optional(),
+  languages: languagesField,
+  includeContent: Joi.boolean().default(true),
+  includeDocuments: Joi.boolean().default(false),
+  maxDocumentSize: Joi.number().integer().min(1024).max(100 * 1024 * 1024).default(10 * 1024 * 1024),
+  seedFromSitemaps: Joi.boolean().default(false),
+  synthesizeQA: Joi.boolean().default(false),
+  respectRobotsTxt: Joi.boolean().default(true),
+  ...contentDetectionFields,
+  ...crawlScopeFields
+});
 
 const scanRequestSchema = Joi.object({
   url: Joi.string().uri().required(),
-  options: Joi.object({
-    maxPages: Joi.number().integer().min(1).max(500).default(50),
-    maxDepth: Joi.number().integer().min(1).max(10).default(3),
-    delay: Joi.number().integer().min(100).max(5000).default(500),
-    minQualityScore: Joi.number().integer().min(0).max(100).default(30),
-    pageTypes: Joi.array().items(
-      Joi.string().valid(
-        'FAQ', 'Documentation', 'Support', 'Guide', 
-        'Troubleshooting', 'API Documentation', 'Knowledge Base',
-        'Product', 'Service', 'Blog/Article', 'Other'
-      )
-    ).optional(),
-    includeContent: Joi.boolean().default(true)
-  }).optional()
+  options: scanOptionsSchema.optional(),
+  baseScanId: Joi.string().uuid().optional(),
+  ...webhookFields
 });
 
+const chunkingFields = {
+  chunkStrategy: Joi.string().valid(...CHUNK_STRATEGIES).default('heading'),
+  chunkSize: Joi.number().integer().min(64).max(8192).default(512),
+  chunkOverlap: Joi.number().integer().min(0).max(2048).default(64),
+  textFormat: Joi.string().valid(...TEXT_FORMATS).default('markdown')
+};
+
+const chunkingSchema = Joi.object(chunkingFields).unknown(true);
+
 const exportRequestSchema = Joi.object({
   scanId: Joi.string().uuid().required(),
-  format: Joi.string().valid('json', 'rag', 'markdown', 'vectordb', 'csv', 'xml').default('json')
+  format: Joi.string().valid('json', 'rag', 'markdown', 'vectordb', 'csv', 'xml').default('json'),
+  ...chunkingFields
 });
 
 const extractRequestSchema = Joi.object({
   url: Joi.string().uri().required(),
   extractors: Joi.array().items(
-    Joi.string().valid('qa', 'content', 'metadata', 'schema', 'structure')
-  ).default(['qa', 'content', 'metadata'])
+    // Built-in or registered custom extractors
+    Joi.string().custom((value, helpers) => (
+      BUILTIN_EXTRACTORS.includes(value) || getExtractor(value) ? value : helpers.message(`"${value}" is not a known extractor`)
+    ))
+  ).default(['qa', 'content', 'metadata']),
+  render: Joi.string().valid('static', 'browser', 'auto').default('static'),
+  synthesizeQA: Joi.boolean().default(false)
 });
 
 const batchRequestSchema = Joi.object({
   urls: Joi.array().items(Joi.string().uri()).min(1).max(10).required(),
-  options: Joi.object({
-    maxPages: Joi.number().integer().min(1).max(500).default(50),
-    maxDepth: Joi.number().integer().min(1).max(10).default(3),
-    delay: Joi.number().integer().min(100).max(5000).default(500),
-    minQualityScore: Joi.number().integer().min(0).max(100).default(30),
-    pageTypes: Joi.array().items(Joi.string()).optional(),
-    includeContent: Joi.boolean().default(true)
-  }).optional()
+  options: scanOptionsSchema.optional(),
+  ...webhookFields
+});
+
+const cronExpression = Joi.string().max(100).custom((value, helpers) => {
+  try {
+    nextRun(value);
+    return value;
+  } catch (error) {
+    return helpers.message(`"${value}" is not a valid cron expression: ${error.message}`);
+  }
+});
+
+const scheduleFields = {
+  name: Joi.string().max(200),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  cron: cronExpression,
+  options: scanOptionsSchema,
+  incremental: Joi.boolean(),
+  enabled: Joi.boolean(),
+  ...webhookFields
+};
+
+const scheduleSchema = Joi.object({
+  ...scheduleFields,
+  url: scheduleFields.url.required(),
+  cron: scheduleFields.cron.required()
+});
+
+const scheduleUpdateSchema = Joi.object(scheduleFields).min(1);
+
+// `example.com` or `*.example.com`
+const hostPattern = Joi.string().lowercase().max(253).pattern(/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/, 'host name or *.host name');
+
+const profileFields = {
+  name: Joi.string().max(200),
+  hostPattern,
+  contentSelector: cssSelector.allow(null),
+  removeSelectors: Joi.array().items(cssSelector).max(50),
+  qa: Joi.object({
+    itemSelector: cssSelector.optional(),
+    questionSelector: cssSelector.required(),
+    answerSelector: cssSelector.required()
+  }).allow(null),
+  pageTypes: Joi.array().items(Joi.object({
+    pattern: urlPattern.required(),
+    pageType: Joi.string().valid(...PAGE_TYPES).required()
+  })).max(50),
+  enabled: Joi.boolean()
+};
+
+const profileSchema = Joi.object({
+  ...profileFields,
+  hostPattern: profileFields.hostPattern.required()
+});
+
+const profileUpdateSchema = Joi.object(profileFields).min(1);
+
+const evaluationRequestSchema = Joi.object({
+  questions: Joi.array().items(
+    Joi.alternatives().try(
+      Joi.string().trim().min(1).max(1000),
+      Joi.object({
+        question: Joi.string().trim().min(1).max(1000).required(),
+        expectedUrl: Joi.string().uri({ scheme: ['http', 'https'] }).optional()
+      })
+    )
+  ).min(1).max(500).required(),
+  k: Joi.number().integer().min(1).max(20).default(5),
+  minCoverage: Joi.number().min(0).max(1).default(0.5)
 });
 
 function validateScanRequest(data) {
@@ -58,9 +215,33 @@ function validateBatchRequest(data) {
   return batchRequestSchema.validate(data);
 }
 
+// Checks the chunkStrategy/chunkSize/chunkOverlap/textFormat fields of an export request, applying defaults
+function validateChunkingOptions(data) {
+  return chunkingSchema.validate(data);
+}
+
+// Checks a retrieval evaluation request, applying defaults
+function validateEvaluationRequest(data) {
+  return evaluationRequestSchema.validate(data);
+}
+
+// Checks a new schedule; `partial` checks the fields of a schedule update instead
+function validateSchedule(data, { partial = false } = {}) {
+  return (partial ? scheduleUpdateSchema : scheduleSchema).validate(data);
+}
+
+// Checks a new extraction profile; `partial` checks the fields of a profile update instead
+function validateProfile(data, { partial = false } = {}) {
+  return (partial ? profileUpdateSchema : profileSchema).validate(data);
+}
+
 module.exports = {
   validateScanRequest,
   validateExportRequest,
   validateExtractRequest,
-  validateBatchRequest
+  validateBatchRequest,
+  validateChunkingOptions,
+  validateSchedule,
+  validateProfile,
+  validateEvaluationRequest
 };
\ No newline at end of file
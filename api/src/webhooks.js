@@ -0,0 +1,130 @@
+// Signed webhook notifications for scan lifecycle events
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+// Signature over "<timestamp>.<body>" so receivers can reject replayed payloads
+function signPayload(body, secret, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+class WebhookNotifier {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.logger = options.logger || console;
+    this.retries = options.retries !== undefined ? options.retries : 3;
+    this.baseDelay = options.baseDelay || 2000;
+    this.timeout = options.timeout || 10000;
+    this.userAgent = options.userAgent || 'RAG-Collector-Webhooks/1.0';
+  }
+
+  buildPayload(scan, event, deliveryId) {
+    return {
+      id: deliveryId,
+      event: `scan.${event}`,
+      occurredAt: new Date().toISOString(),
+      scan: {
+        scanId: scan.scanId,
+        batchId: scan.batchId || null,
+        scheduleId: scan.scheduleId || null,
+        previousScanId: scan.previousScanId || null,
+        baseScanId: scan.baseScanId || null,
+        url: scan.url,
+        status: scan.status,
+        message: scan.message || '',
+        error: scan.error || null,
+        pagesScanned: scan.pagesScanned || 0,
+        statistics: scan.statistics || null,
+        createdAt: scan.createdAt,
+        completedAt: scan.completedAt || null,
+        cancelledAt: scan.cancelledAt || null
+      }
+    };
+  }
+
+  // Delivers `event` ("completed", "failed", "cancelled") for a scan that has a webhook configured
+  async deliver(scanId, event) {
+    const scan = await this.store.get(scanId);
+    if (!scan || !scan.webhook || !scan.webhook.url) return null;
+
+    const deliveryId = uuidv4();
+    const body = JSON.stringify(this.buildPayload(scan, event, deliveryId));
+    const maxAttempts = this.retries + 1;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': this.userAgent,
+        'X-RAG-Collector-Event': `scan.${event}`,
+        'X-RAG-Collector-Delivery': deliveryId,
+        'X-RAG-Collector-Timestamp': timestamp
+      };
+      if (scan.webhook.secret) {
+        headers['X-RAG-Collector-Signature'] = signPayload(body, scan.webhook.secret, timestamp);
+      }
+
+      const startedAt = Date.now();
+      const entry = {
+        deliveryId,
+        event: `scan.${event}`,
+        attempt,
+        statusCode: null,
+        error: null,
+        durationMs: 0,
+        timestamp: new Date(startedAt).toISOString()
+      };
+
+      let retryable = true;
+      try {
+        const response = await axios.post(scan.webhook.url, body, {
+          headers,
+          timeout: this.timeout,
+          maxRedirects: 0,
+          validateStatus: () => true
+        });
+        entry.statusCode = response.status;
+        if (response.status >= 200 && response.status < 300) {
+          entry.status = 'delivered';
+        } else {
+          entry.error = `Receiver responded with ${response.status}`;
+          // Other client errors won't succeed on a retry
+          retryable = response.status === 429 || response.status === 408 || response.status >= 500;
+        }
+      } catch (error) {
+        entry.error = error.message;
+      }
+      entry.durationMs = Date.now() - startedAt;
+
+      if (!entry.status) {
+        entry.status = retryable && attempt < maxAttempts ? 'retrying' : 'failed';
+      }
+      await this.recordDelivery(scanId, entry);
+
+      if (entry.status !== 'retrying') {
+        if (entry.status === 'failed') {
+          this.logger.warn(`Webhook ${deliveryId} for scan ${scanId} failed: ${entry.error}`);
+        }
+        return entry;
+      }
+
+      const backoff = this.baseDelay * 2 ** (attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, backoff / 2 + Math.random() * backoff / 2));
+    }
+
+    return null;
+  }
+
+  async recordDelivery(scanId, entry) {
+    await this.store.update(scanId, current => ({
+      webhookDeliveries: [...(current.webhookDeliveries || []), entry]
+    }));
+  }
+}
+
+module.exports = {
+  WebhookNotifier,
+  signPayload
+};
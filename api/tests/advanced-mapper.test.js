@@ -0,0 +1,46 @@
+const http = require('http');
+const zlib = require('zlib');
+const AdvancedWebsiteMapper = require('../src/advanced-mapper');
+
+const urlset = urls => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  urls.map(url => `<url><loc>${url}</loc></url>`).join('')
+}</urlset>`;
+
+describe('AdvancedWebsiteMapper.discoverFromSitemap', () => {
+  let server;
+  let origin;
+  const files = {};
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(files[req.url] ? 200 : 404, { 'Content-Type': 'application/octet-stream' });
+      res.end(files[req.url] || '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('reads gzipped sitemaps', async () => {
+    files['/sitemap.xml.gz'] = zlib.gzipSync(urlset(['https://example.com/a', 'https://example.com/b']));
+    const entries = await new AdvancedWebsiteMapper().discoverFromSitemap(`${origin}/sitemap.xml.gz`);
+    expect(entries.map(entry => entry.url)).toEqual(['https://example.com/a', 'https://example.com/b']);
+  });
+
+  test('skips a gzipped sitemap that inflates past the size limit', async () => {
+    // About 50 KB on the wire
+    const [head, tail] = urlset(['https://example.com/a']).split('</urlset>');
+    files['/bomb.xml.gz'] = zlib.gzipSync(Buffer.concat([
+      Buffer.from(head),
+      Buffer.alloc(51 * 1024 * 1024, ' '),
+      Buffer.from(`${tail}</urlset>`)
+    ]), { level: 9 });
+    expect(files['/bomb.xml.gz'].length).toBeLessThan(100 * 1024);
+    expect(await new AdvancedWebsiteMapper().discoverFromSitemap(`${origin}/bomb.xml.gz`)).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+const { chunkPage, getSections, estimateTokens, normalizeChunkingOptions } = require('../src/chunker');
+
+const sentence = 'The quick brown fox jumps over the lazy dog near the river bank. ';
+
+function page(markdown, extra = {}) {
+  return { title: 'Guide', content: { markdown, ...extra } };
+}
+
+describe('normalizeChunkingOptions', () => {
+  test('applies defaults and falls back from unknown values', () => {
+    expect(normalizeChunkingOptions()).toEqual({
+      strategy: 'heading', chunkSize: 512, chunkOverlap: 64, textFormat: 'markdown'
+    });
+    expect(normalizeChunkingOptions({ strategy: 'bogus', textFormat: 'html' })).toMatchObject({
+      strategy: 'heading', textFormat: 'markdown'
+    });
+  });
+
+  test('caps the overlap at half the chunk size', () => {
+    expect(normalizeChunkingOptions({ chunkSize: 100, chunkOverlap: 80 }).chunkOverlap).toBe(50);
+    expect(normalizeChunkingOptions({ chunkOverlap: 0 }).chunkOverlap).toBe(0);
+  });
+});
+
+describe('getSections', () => {
+  test('reads sections from markdown', () => {
+    const sections = getSections(page('# Guide\n\nIntro.\n\n## Install\n\nRun it.'));
+    expect(sections.map(section => section.path)).toEqual([['Guide'], ['Guide', 'Install']]);
+    expect(sections[1].paragraphs).toEqual(['Run it.']);
+  });
+
+  test('falls back to paragraphs and then to the text', () => {
+    expect(getSections({ content: { paragraphs: ['One', 'Two'] } })[0].paragraphs).toEqual(['One', 'Two']);
+    expect(getSections({ content: { text: 'Only text' } })[0].paragraphs).toEqual(['Only text']);
+    expect(getSections({})).toEqual([]);
+  });
+
+  test('uses the text blocks when asked for plain text', () => {
+    const sections = [{ heading: 'A', level: 2, path: ['A'], paragraphs: ['Plain'] }];
+    expect(getSections(page('## A\n\n**Plain**', { sections }), 'text')).toBe(sections);
+  });
+});
+
+describe('chunkPage', () => {
+  test('prefixes heading chunks with a breadcrumb without repeating the title', () => {
+    const chunks = chunkPage(page('# Guide\n\nIntro text.\n\n## Install\n\nRun the installer.'));
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].breadcrumb).toEqual(['Guide']);
+    expect(chunks[1].breadcrumb).toEqual(['Guide', 'Install']);
+    expect(chunks[1].text).toBe('Guide › Install\n\nRun the installer.');
+    expect(chunks.map(chunk => chunk.index)).toEqual([0, 1]);
+  });
+
+  test('keeps every chunk within the token budget', () => {
+    const chunks = chunkPage(page(`## Long\n\n${sentence.repeat(40)}`), { chunkSize: 64, chunkOverlap: 0 });
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.tokens).toBeLessThanOrEqual(64);
+    }
+  });
+
+  test('repeats the end of a chunk at the start of the next one', () => {
+    const paragraphs = Array.from({ length: 6 }, (item, i) => `Paragraph ${i} ${sentence.repeat(2).trim()}`);
+    const chunks = chunkPage(page(paragraphs.join('\n\n')), { chunkSize: 96, chunkOverlap: 40 });
+    expect(chunks.length).toBeGreaterThan(1);
+    const lastOfFirst = chunks[0].text.split('\n\n').pop();
+    expect(chunks[1].text).toContain(lastOfFirst);
+  });
+
+  test('cuts oversized words-only text on word boundaries', () => {
+    const words = Array.from({ length: 300 }, (item, i) => `word${i}`).join(' ');
+    const chunks = chunkPage({ content: { text: words } }, { chunkSize: 40, chunkOverlap: 0, textFormat: 'text' });
+    const rejoined = chunks.map(chunk => chunk.text).join(' ');
+    expect(rejoined).toBe(words);
+  });
+
+  test('fixed packs the whole page and keeps headings inline', () => {
+    const chunks = chunkPage(page('# Guide\n\nIntro.\n\n## Install\n\nRun it.'), { strategy: 'fixed' });
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe('Guide\n\nIntro.\n\n## Install\n\nRun it.');
+    expect(chunks[0].headingPath).toEqual([]);
+  });
+
+  test('paragraph yields one chunk per substantial paragraph', () => {
+    const long = sentence.repeat(3).trim();
+    const chunks = chunkPage(page(`${long}\n\nToo short.\n\n${long}`), { strategy: 'paragraph' });
+    expect(chunks.map(chunk => chunk.text)).toEqual([long, long]);
+    expect(chunks[0].breadcrumb).toEqual([]);
+  });
+});
+
+describe('estimateTokens', () => {
+  test('counts about four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('abcdefghi')).toBe(3);
+  });
+});
@@ -0,0 +1,70 @@
+const { diffScans, diffPage, diffText } = require('../src/compare-scans');
+
+const page = (url, sections, extra = {}) => ({
+  url,
+  title: 'Returns',
+  pageType: 'FAQ',
+  qualityScore: 80,
+  content: {
+    sections,
+    paragraphs: sections.flatMap(section => section.paragraphs),
+    text: sections.flatMap(section => [section.heading, ...section.paragraphs]).filter(Boolean).join('\n')
+  },
+  qaItems: [],
+  ...extra
+});
+
+describe('diffPage', () => {
+  test('reports added and removed blocks in document order', () => {
+    const before = page('/returns', [{ heading: 'Returns', paragraphs: ['Within 14 days.', 'Keep the receipt.'] }]);
+    const after = page('/returns', [{ heading: 'Returns', paragraphs: ['Within 30 days.', 'Keep the receipt.'] }]);
+    expect(diffPage(before, after).text).toEqual([
+      { type: 'removed', text: 'Within 14 days.' },
+      { type: 'added', text: 'Within 30 days.' }
+    ]);
+  });
+
+  test('diffs a changed heading instead of reporting an empty change', () => {
+    const before = page('/returns', [{ heading: 'Returns', paragraphs: ['Within 14 days.'] }]);
+    const after = page('/returns', [{ heading: 'Refunds', paragraphs: ['Within 14 days.'] }]);
+    expect(diffPage(before, after).text).toEqual([
+      { type: 'removed', text: 'Returns' },
+      { type: 'added', text: 'Refunds' }
+    ]);
+  });
+
+  test('ignores text changes that are not part of any block', () => {
+    const before = page('/returns', [{ heading: 'Returns', paragraphs: ['Within 14 days.'] }]);
+    const after = { ...before, content: { ...before.content, text: `${before.content.text}\nCookie banner` } };
+    expect(diffPage(before, after)).toBeNull();
+  });
+
+  test('falls back to sentences for pages without blocks', () => {
+    const before = { url: '/a', content: { text: 'One. Two.' } };
+    const after = { url: '/a', content: { text: 'One. Three.' } };
+    expect(diffPage(before, after).text).toEqual([
+      { type: 'removed', text: 'Two.' },
+      { type: 'added', text: 'Three.' }
+    ]);
+  });
+});
+
+describe('diffScans', () => {
+  test('sorts pages into added, removed, changed and unchanged', () => {
+    const sections = [{ heading: 'Returns', paragraphs: ['Within 14 days.'] }];
+    const base = { scanId: 'a', pages: [page('/returns', sections), page('/old', sections), page('/same', sections)] };
+    const other = {
+      scanId: 'b',
+      pages: [page('/returns', sections, { title: 'Refunds', qualityScore: 90 }), page('/new', sections), page('/same', sections)]
+    };
+    const diff = diffScans(base, other);
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+    expect(diff.changed[0]).toMatchObject({ url: '/returns', changes: { title: { before: 'Returns', after: 'Refunds' } }, qualityDelta: 10 });
+  });
+});
+
+describe('diffText', () => {
+  test('compares trimmed lines', () => {
+    expect(diffText('a\n b \n\nc', 'a\nb\nd')).toEqual([{ type: 'removed', text: 'c' }, { type: 'added', text: 'd' }]);
+  });
+});
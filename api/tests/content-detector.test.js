@@ -0,0 +1,50 @@
+const { findRepeatedBlocks, stripBlocks } = require('../src/content-detector');
+
+const FOOTER = 'Sign up for our product updates and never miss a release again.';
+
+const page = (url, paragraphs) => ({
+  url,
+  content: {
+    text: paragraphs.join(' '),
+    paragraphs,
+    sections: [{ heading: 'Help', level: 2, path: ['Help'], paragraphs }]
+  },
+  wordCount: paragraphs.join(' ').split(' ').length
+});
+
+const site = () => Array.from({ length: 5 }, (item, i) => page(`https://example.com/${i}`, [`Unique answer number ${i} for this page.`, FOOTER]));
+
+describe('findRepeatedBlocks', () => {
+  test('finds blocks on most pages of the scan', () => {
+    const blocks = findRepeatedBlocks(site());
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0]).toMatchObject({ text: FOOTER, pages: 5 });
+  });
+
+  test('needs enough pages to tell', () => {
+    expect(findRepeatedBlocks(site().slice(0, 4))).toEqual([]);
+  });
+});
+
+describe('stripBlocks', () => {
+  const keys = new Set(findRepeatedBlocks(site()).map(block => block.key));
+
+  test('rebuilds the text from the kept headings and paragraphs', () => {
+    const stripped = stripBlocks(site()[0], keys);
+    expect(stripped.content.text).toBe('Help Unique answer number 0 for this page.');
+    expect(stripped.content.paragraphs).toEqual(['Unique answer number 0 for this page.']);
+    expect(stripped.wordCount).toBe(8);
+  });
+
+  test('keeps a repeated block quoted inside a longer unique one', () => {
+    const quoting = `Our newsletter says "${FOOTER}" at the end of every page.`;
+    const stripped = stripBlocks(page('https://example.com/quote', [quoting, FOOTER]), keys);
+    expect(stripped.content.paragraphs).toEqual([quoting]);
+    expect(stripped.content.text).toContain(FOOTER);
+  });
+
+  test('returns pages without repeated blocks as they are', () => {
+    const unique = page('https://example.com/unique', ['Nothing repeated here at all.']);
+    expect(stripBlocks(unique, keys)).toBe(unique);
+  });
+});
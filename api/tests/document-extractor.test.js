@@ -0,0 +1,101 @@
+const JSZip = require('jszip');
+const { getDocumentType, extractDocument } = require('../src/document-extractor');
+
+const DOCX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>',
+  '_rels/.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'
+};
+
+const documentXml = (text, padding = '') => '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+  `<w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p>${padding}</w:body></w:document>`;
+
+const XLSX_PARTS = {
+  'xl/workbook.xml': '<?xml version="1.0"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Prices" sheetId="1" r:id="rId1"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>'
+};
+
+const sheetXml = (rows, padding = '') => '<?xml version="1.0"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+  rows.map(cells => `<row>${cells.map(([ref, text]) => `<c r="${ref}" t="inlineStr"><is><t>${text}</t></is></c>`).join('')}</row>`).join('') +
+  `</sheetData>${padding}</worksheet>`;
+
+async function zipOf(parts) {
+  const zip = new JSZip();
+  Object.entries(parts).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 9 } });
+}
+
+// Rewrites the uncompressed size an archive declares for `name`, in its local and central headers
+function forgeDeclaredSize(buffer, name, size) {
+  const forged = Buffer.from(buffer);
+  for (const [signature, nameOffset, sizeOffset] of [[0x04034b50, 30, 22], [0x02014b50, 46, 24]]) {
+    for (let i = 0; i < forged.length - 4; i++) {
+      if (forged.readUInt32LE(i) === signature && forged.toString('utf8', i + nameOffset, i + nameOffset + name.length) === name) {
+        forged.writeUInt32LE(size, i + sizeOffset);
+      }
+    }
+  }
+  return forged;
+}
+
+describe('getDocumentType', () => {
+  test('reads the type from the extension', () => {
+    expect(getDocumentType('https://example.com/files/Guide.PDF')).toBe('pdf');
+    expect(getDocumentType('https://example.com/report.docx?download=1')).toBe('docx');
+    expect(getDocumentType('https://example.com/report.doc')).toBeNull();
+  });
+});
+
+describe('extractDocument', () => {
+  test('converts a Word document to HTML', async () => {
+    const buffer = await zipOf({ ...DOCX_PARTS, 'word/document.xml': documentXml('Returns are accepted for 30 days.') });
+    const { html, title } = await extractDocument(buffer, 'docx', 'https://example.com/returns-policy.docx');
+    expect(title).toBe('returns policy');
+    expect(html).toContain('<p>Returns are accepted for 30 days.</p>');
+  });
+
+  test('rejects a Word document whose declared sizes hide how far it inflates', async () => {
+    const padding = ' '.repeat(101 * 1024 * 1024);
+    const buffer = forgeDeclaredSize(
+      await zipOf({ ...DOCX_PARTS, 'word/document.xml': documentXml('Hidden', padding) }),
+      'word/document.xml',
+      1024
+    );
+    await expect(extractDocument(buffer, 'docx', 'https://example.com/bomb.docx')).rejects.toThrow('inflates to more than 100 MB');
+  });
+
+  test('places spreadsheet cells by their reference and pads short rows', async () => {
+    const sheet = sheetXml([
+      [['A1', 'Plan'], ['C1', 'Price']],
+      [['A2', 'Pro'], ['B2', 'Team'], ['C2', '$10']],
+      [['B3', 'Free']]
+    ]);
+    const buffer = await zipOf({ ...XLSX_PARTS, 'xl/worksheets/sheet1.xml': sheet });
+    const { html } = await extractDocument(buffer, 'xlsx', 'https://example.com/prices.xlsx');
+    expect(html).toContain('<h2>Prices</h2><table>' +
+      '<tr><th>Plan</th><th></th><th>Price</th></tr>' +
+      '<tr><td>Pro</td><td>Team</td><td>$10</td></tr>' +
+      '<tr><td></td><td>Free</td><td></td></tr></table>');
+  });
+
+  test('rejects archives that declare more than the size limit', async () => {
+    const padding = ' '.repeat(101 * 1024 * 1024);
+    const buffer = await zipOf({ ...XLSX_PARTS, 'xl/worksheets/sheet1.xml': sheetXml([[['A1', 'Plan']]], padding) });
+    await expect(extractDocument(buffer, 'xlsx', 'https://example.com/big.xlsx')).rejects.toThrow('Document inflates to more than 100 MB');
+  });
+
+  test('stops reading an entry whose declared size is forged', async () => {
+    const padding = ' '.repeat(101 * 1024 * 1024);
+    const buffer = forgeDeclaredSize(
+      await zipOf({ ...XLSX_PARTS, 'xl/worksheets/sheet1.xml': sheetXml([[['A1', 'Plan']]], padding) }),
+      'xl/worksheets/sheet1.xml',
+      1024
+    );
+    await expect(extractDocument(buffer, 'xlsx', 'https://example.com/bomb.xlsx')).rejects.toThrow('xl/worksheets/sheet1.xml inflates to more than 100 MB');
+  });
+});
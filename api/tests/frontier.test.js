@@ -0,0 +1,86 @@
+const { Frontier, scoreLink, scoreSeed } = require('../src/frontier');
+
+const item = (url, score) => ({ url: `https://example.com${url}`, depth: 1, score });
+const drain = frontier => {
+  const urls = [];
+  let next;
+  while ((next = frontier.pop())) urls.push(next.url.replace('https://example.com', ''));
+  return urls;
+};
+
+describe('Frontier', () => {
+  test('pops the highest score first', () => {
+    const frontier = new Frontier([item('/a', 1), item('/b', 30), item('/c', 10), item('/d', 20)]);
+    expect(frontier.size).toBe(4);
+    expect(drain(frontier)).toEqual(['/b', '/d', '/c', '/a']);
+    expect(frontier.pop()).toBeUndefined();
+    expect(frontier.size).toBe(0);
+  });
+
+  test('keeps discovery order for equal scores', () => {
+    const frontier = new Frontier(['/1', '/2', '/3', '/4', '/5'].map(url => item(url, 5)));
+    expect(drain(frontier)).toEqual(['/1', '/2', '/3', '/4', '/5']);
+  });
+
+  test('re-adding a URL only raises its score', () => {
+    const frontier = new Frontier([item('/a', 10), item('/b', 20)]);
+    expect(frontier.push(item('/a', 5))).toBe(false);
+    expect(frontier.push(item('/a', 30))).toBe(true);
+    expect(frontier.size).toBe(2);
+    expect(drain(frontier)).toEqual(['/a', '/b']);
+  });
+
+  test('toArray lists pending items in pop order without removing them', () => {
+    const frontier = new Frontier([item('/a', 1), item('/b', 3), item('/c', 2)]);
+    frontier.push(item('/a', 4));
+    expect(frontier.toArray().map(entry => entry.score)).toEqual([4, 3, 2]);
+    expect(frontier.size).toBe(3);
+    // A checkpointed queue restores to the same order
+    expect(drain(new Frontier(frontier.toArray()))).toEqual(drain(frontier));
+  });
+
+  test('orders many items like a stable sort', () => {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const items = Array.from({ length: 200 }, (entry, i) => item(`/${i}`, Math.floor(random() * 20)));
+    const expected = items.slice().sort((a, b) => b.score - a.score).map(entry => entry.url.replace('https://example.com', ''));
+    expect(drain(new Frontier(items))).toEqual(expected);
+  });
+});
+
+describe('scoreLink', () => {
+  test('ranks links pointing to a requested page type first', () => {
+    const faqPath = scoreLink({ url: 'https://example.com/faq', depth: 1 }, ['FAQ']);
+    const faqAnchor = scoreLink({ url: 'https://example.com/x', anchorText: 'Frequently asked questions', depth: 1 }, ['FAQ']);
+    const other = scoreLink({ url: 'https://example.com/about', depth: 1 }, ['FAQ']);
+    expect(faqPath).toBeGreaterThan(faqAnchor);
+    expect(faqAnchor).toBeGreaterThan(other);
+  });
+
+  test('prefers shallow links and links from good pages of a requested type', () => {
+    const base = { url: 'https://example.com/page', depth: 1 };
+    expect(scoreLink(base)).toBeGreaterThan(scoreLink({ ...base, depth: 3 }));
+    expect(scoreLink({ ...base, parentQuality: 90 })).toBeGreaterThan(scoreLink(base));
+    expect(scoreLink({ ...base, parentType: 'FAQ' }, ['FAQ'])).toBeGreaterThan(scoreLink(base, ['FAQ']));
+  });
+
+  test('accepts the short page type names', () => {
+    expect(scoreLink({ url: 'https://example.com/blog/post', depth: 1 }, ['Blog']))
+      .toBe(scoreLink({ url: 'https://example.com/blog/post', depth: 1 }, ['Blog/Article']));
+  });
+
+  test('ranks About and Contact links when requested', () => {
+    const about = { url: 'https://example.com/about-us', depth: 1 };
+    expect(scoreLink(about, ['About'])).toBeGreaterThan(scoreLink(about));
+    expect(scoreLink({ url: 'https://example.com/contact', depth: 1 }, ['Contact'])).toBeGreaterThan(scoreLink(about, ['Contact']));
+  });
+});
+
+describe('scoreSeed', () => {
+  test('boosts high-priority and recently modified sitemap URLs', () => {
+    const url = 'https://example.com/page';
+    expect(scoreSeed({ url, priority: 1 })).toBeGreaterThan(scoreSeed({ url, priority: 0.1 }));
+    expect(scoreSeed({ url, lastmod: new Date().toISOString() })).toBeGreaterThan(scoreSeed({ url }));
+    expect(scoreSeed({ url, lastmod: 'not a date' })).toBe(scoreSeed({ url }));
+  });
+});
@@ -0,0 +1,108 @@
+const cheerio = require('cheerio');
+const {
+  primaryLanguage,
+  textLanguage,
+  extractAlternates,
+  detectLanguage,
+  normalizeText,
+  normalizeDocumentText,
+  groupTranslations
+} = require('../src/language');
+
+const SAMPLES = {
+  en: 'The team is working on the new release and it will be available for you on the website this week, with notes that explain the changes to the product.',
+  es: 'La empresa de software que creó el producto ofrece soporte técnico para los clientes de todo el mundo, y la documentación está disponible en el sitio web del equipo.',
+  de: 'Die Firma hat das neue Produkt mit einer Anleitung für die Kunden veröffentlicht, und der Support ist nicht nur für den Einstieg, sondern auch auf Dauer von großer Hilfe.',
+  fr: 'La société a publié une nouvelle version du produit pour les clients, et la documentation est disponible dans le centre d\'aide que vous pouvez consulter sur le site.',
+  he: 'החברה פרסמה גרסה חדשה של המוצר עבור הלקוחות, והתיעוד זמין במרכז העזרה באתר האינטרנט שלנו.',
+  ar: 'أصدرت الشركة نسخة جديدة من المنتج للعملاء، والوثائق متاحة في مركز المساعدة على موقعنا الإلكتروني.'
+};
+
+describe('primaryLanguage', () => {
+  test('reads the primary subtag and maps old codes', () => {
+    expect(primaryLanguage('he-IL')).toBe('he');
+    expect(primaryLanguage('pt_BR')).toBe('pt');
+    expect(primaryLanguage(' EN ')).toBe('en');
+    expect(primaryLanguage('iw')).toBe('he');
+    expect(primaryLanguage('x-default')).toBeNull();
+    expect(primaryLanguage(undefined)).toBeNull();
+  });
+});
+
+describe('textLanguage', () => {
+  test.each(['en', 'es', 'de', 'fr'])('tells %s from other Latin-script languages by its common words', language => {
+    expect(textLanguage(SAMPLES[language])).toMatchObject({ language, script: 'latin' });
+  });
+
+  test('tells languages of other scripts by their letters', () => {
+    expect(textLanguage(SAMPLES.he)).toMatchObject({ language: 'he', script: 'hebrew' });
+    expect(textLanguage(SAMPLES.ar)).toMatchObject({ language: 'ar', script: 'arabic' });
+    expect(textLanguage('این یک متن فارسی است که برای آزمایش تشخیص زبان نوشته شده و چند کلمه دارد').language).toBe('fa');
+  });
+
+  test('gives up on short text', () => {
+    expect(textLanguage('Hello world')).toBeNull();
+    expect(textLanguage('')).toBeNull();
+  });
+});
+
+describe('detectLanguage', () => {
+  const load = (html, url = 'https://example.com/page') => {
+    const $ = cheerio.load(html);
+    return { $, alternates: extractAlternates($, url) };
+  };
+
+  test('prefers the hreflang pointing at the page itself', () => {
+    const { $, alternates } = load('<html lang="en"><head><link rel="alternate" hreflang="fr" href="/page"><link rel="alternate" hreflang="x-default" href="/"></head></html>');
+    expect(alternates).toEqual([{ hreflang: 'fr', language: 'fr', url: 'https://example.com/page' }]);
+    expect(detectLanguage($, 'https://example.com/page', alternates, SAMPLES.fr)).toEqual({ language: 'fr', source: 'hreflang', direction: 'ltr' });
+  });
+
+  test('falls back to html lang, then to the text', () => {
+    const html = load('<html lang="es-MX"><body></body></html>');
+    expect(detectLanguage(html.$, 'https://example.com/page', html.alternates, '').language).toBe('es');
+    const bare = load('<html><body></body></html>');
+    expect(detectLanguage(bare.$, 'https://example.com/page', bare.alternates, SAMPLES.de)).toMatchObject({ language: 'de', source: 'text' });
+  });
+
+  test('overrules a declared language when the text is in another script', () => {
+    const { $, alternates } = load('<html lang="en"><body></body></html>');
+    expect(detectLanguage($, 'https://example.com/page', alternates, SAMPLES.he)).toEqual({ language: 'he', source: 'text', direction: 'rtl' });
+  });
+});
+
+describe('normalizeText', () => {
+  test('removes bidi controls and tatweel and folds presentation forms', () => {
+    expect(normalizeText('ש‏לום')).toBe('שלום');
+    expect(normalizeText('عـــربي')).toBe('عربي');
+    expect(normalizeText('ﻷ')).toBe('لأ');
+    expect(normalizeText('plain ascii')).toBe('plain ascii');
+  });
+
+  test('normalizes the page text but not scripts, styles or code', () => {
+    const $ = cheerio.load('<title>ש‏לום</title><script type="application/ld+json">{"name":"a‏b"}</script><p>x‏y</p><pre><b>c‏d</b></pre>');
+    normalizeDocumentText($);
+    expect($('title').text()).toBe('שלום');
+    expect($('p').text()).toBe('xy');
+    expect($('script').html()).toBe('{"name":"a‏b"}');
+    expect($('pre').text()).toBe('c‏d');
+  });
+});
+
+describe('groupTranslations', () => {
+  test('groups pages linked by hreflang or differing only by a language segment', () => {
+    const pages = [
+      { url: 'https://example.com/en/about', language: 'en', alternates: [{ url: 'https://example.com/de/uber-uns', language: 'de' }] },
+      { url: 'https://example.com/de/uber-uns', language: 'de' },
+      { url: 'https://example.com/fr/about', language: 'fr' },
+      { url: 'https://example.com/en/contact', language: 'en' },
+      { url: 'https://example.com/contact', language: 'en' }
+    ];
+    const groups = groupTranslations(pages);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].pages.map(page => page.language).sort()).toEqual(['de', 'en', 'fr']);
+    expect(pages[0].translationGroup).toBe(groups[0].groupId);
+    // Same-language duplicates are not translations
+    expect(pages[3].translationGroup).toBeUndefined();
+  });
+});
@@ -0,0 +1,97 @@
+const cheerio = require('cheerio');
+const {
+  htmlToMarkdown,
+  markdownSections,
+  markdownPlainText,
+  shiftHeadings,
+  stripMarkdownBlocks
+} = require('../src/markdown');
+
+function convert(html, baseUrl = 'https://example.com/docs/page') {
+  const $ = cheerio.load(`<main>${html}</main>`);
+  return htmlToMarkdown($, $('main'), baseUrl);
+}
+
+describe('htmlToMarkdown', () => {
+  test('converts headings, paragraphs and inline formatting', () => {
+    expect(convert('<h2>Setup</h2><p>Run <strong>npm install</strong> and <em>wait</em>, then <code>npm start</code>.</p>'))
+      .toBe('## Setup\n\nRun **npm install** and _wait_, then `npm start`.');
+  });
+
+  test('makes links and images absolute', () => {
+    expect(convert('<p>See <a href="../faq">the FAQ</a> <img src="/logo.png" alt="Logo"></p>'))
+      .toBe('See [the FAQ](https://example.com/faq) ![Logo](https://example.com/logo.png)');
+  });
+
+  test('converts nested and numbered lists', () => {
+    expect(convert('<ol start="3"><li>Open<ul><li>Settings</li></ul></li><li>Save</li></ol>'))
+      .toBe('3. Open\n   - Settings\n4. Save');
+  });
+
+  test('converts tables with a header row and escaped pipes', () => {
+    expect(convert('<table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro | Team</td><td>$10</td></tr></table>'))
+      .toBe('| Plan | Price |\n| --- | --- |\n| Pro \\| Team | $10 |');
+  });
+
+  test('fences code blocks longer than the backtick runs they contain', () => {
+    expect(convert('<pre><code class="language-js">const a = "```";</code></pre>'))
+      .toBe('````js\nconst a = "```";\n````');
+  });
+
+  test('quotes blockquotes and drops scripts and forms', () => {
+    expect(convert('<blockquote><p>Quoted</p></blockquote><script>alert(1)</script><button>Buy</button>'))
+      .toBe('> Quoted');
+  });
+
+  test('escapes text that would start a heading, quote or list', () => {
+    expect(convert('<p># not a heading</p>')).toBe('\\# not a heading');
+    expect(convert('<p>## not a heading</p>')).toBe('\\## not a heading');
+    expect(convert('<p>- not a bullet</p>')).toBe('\\- not a bullet');
+    expect(convert('<p>&gt; not a quote</p>')).toBe('\\> not a quote');
+    expect(convert('<p>1. not a list</p>')).toBe('1\\. not a list');
+    expect(convert('<p>2) not a list</p>')).toBe('2\\) not a list');
+    expect(convert('<p>First line<br>- second line</p>')).toBe('First line\n\\- second line');
+    expect(convert('<p>2024 was a good year</p>')).toBe('2024 was a good year');
+  });
+});
+
+describe('markdownPlainText', () => {
+  test('reads a line as it shows on the page', () => {
+    expect(markdownPlainText('## Getting **started**')).toBe('Getting started');
+    expect(markdownPlainText('- See [docs](https://example.com) and _more_')).toBe('See docs and more');
+    expect(markdownPlainText('| Pro \\| Team | $10 |')).toBe('Pro | Team | $10');
+  });
+
+  test('removes the escapes of escaped block starts', () => {
+    expect(markdownPlainText('1\\. not a list')).toBe('1. not a list');
+    expect(markdownPlainText('\\# not a heading')).toBe('# not a heading');
+  });
+});
+
+describe('markdownSections', () => {
+  test('groups blocks under their heading path', () => {
+    const sections = markdownSections('Intro\n\n# Guide\n\n## Install\n\nStep one\n\n```\n# not a heading\n\ncode\n```\n\n## Use\n\nRun it');
+    expect(sections.map(section => section.path)).toEqual([[], ['Guide', 'Install'], ['Guide', 'Use']]);
+    expect(sections[1].paragraphs).toEqual(['Step one', '```\n# not a heading\n\ncode\n```']);
+  });
+});
+
+describe('shiftHeadings', () => {
+  test('moves headings down, at most to h6', () => {
+    expect(shiftHeadings('# Title\n\nText\n\n##### Deep', 2)).toBe('### Title\n\nText\n\n###### Deep');
+  });
+});
+
+describe('stripMarkdownBlocks', () => {
+  test('removes matching blocks, list items and table rows', () => {
+    const markdown = [
+      'Keep this',
+      'Drop this',
+      '- keep item\n- drop item',
+      '| A | B |\n| --- | --- |\n| drop | row |\n| keep | row |'
+    ].join('\n\n');
+    const isRemoved = text => text.startsWith('Drop') || text.startsWith('drop');
+    expect(stripMarkdownBlocks(markdown, isRemoved))
+      .toBe('Keep this\n\n- keep item\n\n| A | B |\n| --- | --- |\n| keep | row |');
+  });
+});
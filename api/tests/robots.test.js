@@ -0,0 +1,82 @@
+const RobotsTxt = require('../src/robots');
+
+const UA = 'RAG-Collector/1.0 (+https://example.com/bot)';
+
+describe('RobotsTxt', () => {
+  test('allows everything without rules', () => {
+    const robots = RobotsTxt.allowAll();
+    expect(robots.isAllowed('https://example.com/private', UA)).toBe(true);
+  });
+
+  test('disallowAll blocks every path but robots.txt', () => {
+    const robots = RobotsTxt.disallowAll();
+    expect(robots.isAllowed('https://example.com/', UA)).toBe(false);
+    expect(robots.isAllowed('https://example.com/robots.txt', UA)).toBe(true);
+  });
+
+  test('the longest matching rule wins, and Allow wins a tie', () => {
+    const robots = new RobotsTxt([
+      'User-agent: *',
+      'Disallow: /docs',
+      'Allow: /docs/public',
+      'Disallow: /same',
+      'Allow: /same'
+    ].join('\n'));
+    expect(robots.isAllowed('https://example.com/docs/intro', UA)).toBe(false);
+    expect(robots.isAllowed('https://example.com/docs/public/faq', UA)).toBe(true);
+    expect(robots.isAllowed('https://example.com/same', UA)).toBe(true);
+    expect(robots.match('https://example.com/docs/x', UA).path).toBe('/docs');
+  });
+
+  test('supports * wildcards and $ anchors', () => {
+    const robots = new RobotsTxt('User-agent: *\nDisallow: /*.pdf$\nDisallow: /tmp*/cache');
+    expect(robots.isAllowed('https://example.com/files/report.pdf', UA)).toBe(false);
+    expect(robots.isAllowed('https://example.com/files/report.pdf?x=1', UA)).toBe(true);
+    expect(robots.isAllowed('https://example.com/tmp-1/cache/a', UA)).toBe(false);
+  });
+
+  test('matches rules against the query string', () => {
+    const robots = new RobotsTxt('User-agent: *\nDisallow: /search?q=');
+    expect(robots.isAllowed('https://example.com/search?q=test', UA)).toBe(false);
+    expect(robots.isAllowed('https://example.com/search', UA)).toBe(true);
+  });
+
+  test('prefers the group naming our product token over *', () => {
+    const robots = new RobotsTxt([
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: Googlebot',
+      'User-agent: rag-collector',
+      'Disallow: /private',
+      'Crawl-delay: 2'
+    ].join('\n'));
+    expect(robots.isAllowed('https://example.com/page', UA)).toBe(true);
+    expect(robots.isAllowed('https://example.com/private/x', UA)).toBe(false);
+    expect(robots.isAllowed('https://example.com/page', 'OtherBot/2.0')).toBe(false);
+    expect(robots.getCrawlDelay(UA)).toBe(2);
+    expect(robots.getCrawlDelay('OtherBot')).toBeNull();
+  });
+
+  test('an empty Disallow allows everything', () => {
+    const robots = new RobotsTxt('User-agent: *\nDisallow:');
+    expect(robots.isAllowed('https://example.com/anything', UA)).toBe(true);
+  });
+
+  test('ignores comments and collects sitemaps', () => {
+    const robots = new RobotsTxt([
+      '# comment',
+      'Sitemap: https://example.com/sitemap.xml',
+      'User-agent: * # everyone',
+      'Disallow: /admin # secret'
+    ].join('\n'));
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+    expect(robots.isAllowed('https://example.com/admin/x', UA)).toBe(false);
+    expect(robots.toJSON().groups[0].rules).toEqual([{ type: 'disallow', path: '/admin' }]);
+  });
+
+  test('matches percent-encoded paths', () => {
+    const robots = new RobotsTxt('User-agent: *\nDisallow: /café');
+    expect(robots.isAllowed('https://example.com/caf%C3%A9/menu', UA)).toBe(false);
+  });
+});
@@ -0,0 +1,146 @@
+const http = require('http');
+const WebsiteScanner = require('../src/scanner');
+
+const page = (title, links = []) => `<html lang="en"><head><title>${title}</title></head><body><main>
+<h1>${title}</h1><p>${'This page explains how the service works and what customers can expect from it. '.repeat(5)}</p>
+${links.map(link => `<a href="${link}">${link}</a>`).join(' ')}</main></body></html>`;
+
+const sitemap = urls => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  urls.map(url => `<url><loc>${url}</loc><priority>1.0</priority><lastmod>${new Date().toISOString()}</lastmod></url>`).join('')
+}</urlset>`;
+
+// Serves the routes built by `routes(origin)` (path -> body or handler)
+function serve(routes) {
+  let table = {};
+  const server = http.createServer((req, res) => {
+    const route = table[req.url];
+    if (typeof route === 'function') return route(req, res);
+    if (route === undefined) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': req.url.endsWith('.xml') ? 'application/xml' : 'text/html' });
+    res.end(route);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    table = routes(origin);
+    resolve({ server, origin });
+  }));
+}
+
+// URLs in the order the scanner crawls them
+function crawlOrder(scanner) {
+  const urls = [];
+  scanner.on('progress', event => event.message.startsWith('Scanning') && urls.push(new URL(event.currentUrl).pathname));
+  return urls;
+}
+
+describe('WebsiteScanner.crawl', () => {
+  let site;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (site) await new Promise(resolve => site.server.close(resolve));
+    site = null;
+  });
+
+  test('fetches the start page before sitemap seeds', async () => {
+    const orphans = ['/orphan-1', '/orphan-2', '/orphan-3'];
+    site = await serve(origin => ({
+      '/': page('Home', ['/linked']),
+      '/linked': page('Linked'),
+      '/sitemap.xml': sitemap(orphans.map(path => origin + path)),
+      ...Object.fromEntries(orphans.map(path => [path, page(path)]))
+    }));
+
+    const scanner = new WebsiteScanner({ maxPages: 2, delay: 100, minQualityScore: 0, seedFromSitemaps: true });
+    const crawled = crawlOrder(scanner);
+    await scanner.crawl(`${site.origin}/`);
+    expect(crawled).toEqual(['/', '/orphan-1']);
+  });
+
+  test('fetches the start page before baseline pages in an incremental scan', async () => {
+    site = await serve(() => ({
+      '/': page('Home'),
+      '/faq': page('FAQ'),
+      '/docs': page('Docs')
+    }));
+    const baseline = ['/faq', '/docs'].map(path => ({ url: site.origin + path, depth: 1, qualityScore: 100 }));
+
+    const scanner = new WebsiteScanner({ maxPages: 1, delay: 100, minQualityScore: 0, pageTypes: ['FAQ'] });
+    const crawled = crawlOrder(scanner);
+    await scanner.crawl(`${site.origin}/`, { baseline });
+    expect(crawled).toEqual(['/']);
+  });
+
+  test('spaces retries by the per-host delay', async () => {
+    const attempts = [];
+    site = await serve(() => ({
+      '/': (req, res) => {
+        attempts.push(Date.now());
+        res.writeHead(503);
+        res.end();
+      }
+    }));
+
+    const scanner = new WebsiteScanner({ delay: 300, retries: 2, retryBaseDelay: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const results = await scanner.crawl(`${site.origin}/`);
+    expect(results.failedUrls).toMatchObject([{ statusCode: 503, attempts: 3 }]);
+    expect(attempts).toHaveLength(3);
+    expect(attempts[1] - attempts[0]).toBeGreaterThanOrEqual(250);
+    expect(attempts[2] - attempts[1]).toBeGreaterThanOrEqual(250);
+  });
+});
+
+describe('WebsiteScanner.removeRepeatedBlocks', () => {
+  const FOOTER = `Sign up for our newsletter. ${'Product news, release notes and offers every month. '.repeat(10)}`;
+
+  // FAQ pages score 20 for their type and 20 for more than 500 characters of text
+  const faqPage = (url, body) => {
+    const paragraphs = [body, FOOTER];
+    return {
+      url,
+      pageType: 'FAQ',
+      headings: { hierarchy: [], h2: 0 },
+      qaItems: [],
+      content: { text: paragraphs.join(' '), paragraphs, sections: [{ heading: null, level: 0, path: [], paragraphs }] }
+    };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('drops pages that fall below the quality bar without the repeated blocks', () => {
+    const scanner = new WebsiteScanner({ minQualityScore: 40 });
+    const pages = [
+      faqPage('https://example.com/long', 'A long answer. '.repeat(40)),
+      ...Array.from({ length: 4 }, (item, i) => faqPage(`https://example.com/short-${i}`, `Short answer ${i}.`))
+    ];
+    pages.forEach(page => {
+      page.qualityScore = scanner.calculateQualityScore(page.content, page.headings, page.qaItems, page.pageType);
+      scanner.siteMap.set(page.url, page);
+    });
+    expect(pages.every(page => page.qualityScore === 40)).toBe(true);
+
+    scanner.removeRepeatedBlocks();
+    expect([...scanner.siteMap.keys()]).toEqual(['https://example.com/long']);
+    expect(scanner.siteMap.get('https://example.com/long').content.text).not.toContain('newsletter');
+    expect(scanner.skippedUrls).toHaveLength(4);
+    expect(scanner.skippedUrls[0]).toMatchObject({ url: 'https://example.com/short-0', reason: 'low-quality' });
+  });
+
+  test('keeps a minQualityScore of 0', () => {
+    expect(new WebsiteScanner({ minQualityScore: 0 }).options.minQualityScore).toBe(0);
+  });
+});
@@ -0,0 +1,63 @@
+const express = require('express');
+const scheduleRoutes = require('../src/schedule-routes');
+
+// Stands in for the Scheduler, keeping what the routes store
+const stored = new Map();
+const scheduler = {
+  create: async fields => {
+    const schedule = { scheduleId: 'daily', runs: [], ...fields };
+    stored.set(schedule.scheduleId, schedule);
+    return schedule;
+  },
+  get: async id => stored.get(id) || null,
+  update: async (id, changes) => Object.assign(stored.get(id), changes)
+};
+
+describe('schedule routes', () => {
+  let server;
+  let base;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    scheduleRoutes.setScheduler(scheduler, { get: async () => null });
+    app.use('/api/schedules', scheduleRoutes);
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    base = `http://127.0.0.1:${server.address().port}/api/schedules`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('stores options with the schema defaults and conversions applied', async () => {
+    const { status } = await request('POST', '/', {
+      url: 'https://example.com',
+      cron: '@daily',
+      options: { maxPages: '20', pageTypes: ['FAQ'] }
+    });
+    expect(status).toBe(201);
+    const { options } = stored.get('daily');
+    expect(options.maxPages).toBe(20);
+    expect(options).toMatchObject({ maxDepth: 3, respectRobotsTxt: true, includeContent: true });
+  });
+
+  test('normalizes options on update too', async () => {
+    const { status } = await request('PATCH', '/daily', { options: { maxDepth: '5' } });
+    expect(status).toBe(200);
+    expect(stored.get('daily').options).toMatchObject({ maxDepth: 5, maxPages: 50, respectRobotsTxt: true });
+  });
+
+  test('rejects options outside the scan limits', async () => {
+    const { status, body } = await request('PATCH', '/daily', { options: { concurrency: 50 } });
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid schedule');
+  });
+});
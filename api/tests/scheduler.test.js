@@ -0,0 +1,66 @@
+const { parseCron, nextRun } = require('../src/scheduler');
+
+const next = (expression, iso) => nextRun(expression, new Date(iso)).toISOString();
+
+describe('parseCron', () => {
+  test('expands lists, ranges and steps', () => {
+    const cron = parseCron('*/15 9-11 1,15 * *');
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([9, 10, 11]);
+    expect([...cron.dayOfMonth]).toEqual([1, 15]);
+    expect(cron.month.size).toBe(12);
+  });
+
+  test('a start with a step runs to the end of the field', () => {
+    expect([...parseCron('5/20 * * * *').minute]).toEqual([5, 25, 45]);
+  });
+
+  test('accepts month and weekday names, and 7 for Sunday', () => {
+    const cron = parseCron('0 0 * jan-mar MON,wed,7');
+    expect([...cron.month]).toEqual([1, 2, 3]);
+    expect([...cron.dayOfWeek].sort()).toEqual([0, 1, 3]);
+  });
+
+  test('expands aliases', () => {
+    expect(parseCron('@daily')).toEqual(parseCron('0 0 * * *'));
+    expect(parseCron(' @Weekly ')).toEqual(parseCron('0 0 * * 0'));
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('Expected 5 fields, got 4');
+    expect(() => parseCron('60 * * * *')).toThrow('outside 0-59');
+    expect(() => parseCron('* * 0 * *')).toThrow('outside 1-31');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+    expect(() => parseCron('5-1 * * * *')).toThrow('Invalid range');
+    expect(() => parseCron('* * * foo *')).toThrow('Invalid month value');
+  });
+});
+
+describe('nextRun', () => {
+  test('returns the next matching minute in UTC, never the current one', () => {
+    expect(next('*/15 * * * *', '2024-03-10T10:15:00Z')).toBe('2024-03-10T10:30:00.000Z');
+    expect(next('*/15 * * * *', '2024-03-10T10:14:59Z')).toBe('2024-03-10T10:15:00.000Z');
+    expect(next('30 2 * * *', '2024-03-10T10:00:00Z')).toBe('2024-03-11T02:30:00.000Z');
+  });
+
+  test('rolls over months and years', () => {
+    expect(next('0 0 1 * *', '2024-01-31T12:00:00Z')).toBe('2024-02-01T00:00:00.000Z');
+    expect(next('@yearly', '2024-06-01T00:00:00Z')).toBe('2025-01-01T00:00:00.000Z');
+    expect(next('0 0 29 2 *', '2025-01-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  test('matches either restricted day field, like cron', () => {
+    // 2024-03-10 is a Sunday: the next Monday (11th) comes before the 15th
+    expect(next('0 0 15 * mon', '2024-03-10T12:00:00Z')).toBe('2024-03-11T00:00:00.000Z');
+    expect(next('0 0 * * mon', '2024-03-10T12:00:00Z')).toBe('2024-03-11T00:00:00.000Z');
+    expect(next('0 0 15 * *', '2024-03-10T12:00:00Z')).toBe('2024-03-15T00:00:00.000Z');
+  });
+
+  test('accepts a parsed expression', () => {
+    expect(nextRun(parseCron('@hourly'), new Date('2024-03-10T10:05:00Z')).toISOString()).toBe('2024-03-10T11:00:00.000Z');
+  });
+
+  test('throws when the expression never matches', () => {
+    expect(() => nextRun('0 0 31 2 *', new Date('2024-01-01T00:00:00Z'))).toThrow('never matches');
+  });
+});
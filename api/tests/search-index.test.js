@@ -0,0 +1,119 @@
+const { SearchIndex, buildSearchIndex, tokenize } = require('../src/search-index');
+
+function indexOf(texts) {
+  const index = new SearchIndex();
+  texts.forEach((text, i) => index.add({ type: 'chunk', url: `https://example.com/${i}`, text }));
+  return index;
+}
+
+describe('tokenize', () => {
+  test('drops stopwords and folds case, accents and plurals', () => {
+    expect(tokenize('How do I get REFUNDS for the policies?')).toEqual(['get', 'refund', 'policy']);
+    expect(tokenize('Café crème')).toEqual(['cafe', 'creme']);
+  });
+
+  test('keeps short words, numbers and words that only look plural', () => {
+    expect(tokenize('bus gas class 2fas')).toEqual(['bus', 'gas', 'class', '2fas']);
+  });
+
+  test('handles empty input', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('SearchIndex', () => {
+  test('ranks documents with more matching terms higher', () => {
+    const index = indexOf([
+      'Shipping takes three days.',
+      'Refunds are issued within 14 days of a return.',
+      'Refunds for digital products are not available.'
+    ]);
+    const results = index.search('refund return');
+    expect(results.map(result => result.url)).toEqual(['https://example.com/1', 'https://example.com/2']);
+    expect(results[0].coverage).toBe(1);
+    expect(results[1].coverage).toBe(0.5);
+  });
+
+  test('weighs rare terms above common ones', () => {
+    const index = indexOf([
+      'account settings',
+      'account password',
+      'account billing',
+      'account security'
+    ]);
+    const [best] = index.search('account password');
+    expect(best.url).toBe('https://example.com/1');
+  });
+
+  test('prefers the shorter of two documents with the same matches', () => {
+    const index = indexOf([
+      `warranty ${'filler words about something else entirely '.repeat(10)}`,
+      'warranty terms'
+    ]);
+    expect(index.search('warranty')[0].url).toBe('https://example.com/1');
+  });
+
+  test('returns nothing for stopword-only queries and unknown terms', () => {
+    const index = indexOf(['Refunds are issued within 14 days.']);
+    expect(index.search('what is the')).toEqual([]);
+    expect(index.search('xylophone')).toEqual([]);
+    expect(new SearchIndex().search('refund')).toEqual([]);
+  });
+
+  test('filters by type before applying the limit', () => {
+    const index = new SearchIndex();
+    index.add({ type: 'chunk', url: 'a', text: 'refund refund refund' });
+    index.add({ type: 'chunk', url: 'b', text: 'refund refund' });
+    index.add({ type: 'qa', url: 'c', text: 'refund' });
+    const results = index.search('refund', { limit: 1, type: 'qa' });
+    expect(results.map(result => result.url)).toEqual(['c']);
+  });
+
+  test('cuts long snippets around the matching words', () => {
+    const words = Array.from({ length: 100 }, (item, i) => `word${i}`);
+    words[70] = 'refund';
+    const [result] = indexOf([words.join(' ')]).search('refund');
+    expect(result.snippet.startsWith('… ')).toBe(true);
+    expect(result.snippet.endsWith(' …')).toBe(true);
+    expect(result.snippet).toContain('refund');
+    expect(result.snippet.split(' ').filter(word => word !== '…')).toHaveLength(40);
+    expect(result.text).toBeUndefined();
+  });
+});
+
+describe('buildSearchIndex', () => {
+  const pages = [{
+    url: 'https://example.com/help',
+    title: 'Help',
+    content: {
+      markdown: '## Returns\n\nSee [our policy](https://example.com/returns-policy) for details.',
+      sections: [{ heading: 'Returns', level: 2, path: ['Returns'], paragraphs: ['See our policy for details.'] }]
+    },
+    qaItems: [{ question: 'Can I cancel my order?', answer: 'Yes, until it ships.' }]
+  }];
+
+  test('indexes plain text chunks and Q&A pairs', () => {
+    const index = buildSearchIndex(pages);
+    expect(index.size).toBe(2);
+    const [chunk] = index.search('policy', { type: 'chunk' });
+    expect(chunk.headingPath).toEqual(['Returns']);
+    // Link URLs of the markdown are not indexed
+    expect(index.search('example')).toEqual([]);
+  });
+
+  test('questions weigh more than answers', () => {
+    const index = buildSearchIndex([{
+      url: 'https://example.com/faq',
+      title: 'FAQ',
+      content: {},
+      qaItems: [
+        { question: 'Where is my parcel?', answer: 'Track it, or cancel the order to get a refund.' },
+        { question: 'Can I cancel my order?', answer: 'Yes, until it ships.' }
+      ]
+    }]);
+    const results = index.search('cancel', { type: 'qa' });
+    expect(results.map(result => result.qaIndex)).toEqual([1, 0]);
+    expect(results[0]).toMatchObject({ type: 'qa', question: 'Can I cancel my order?' });
+  });
+});
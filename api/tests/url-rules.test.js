@@ -0,0 +1,83 @@
+const { UrlRules, compilePattern } = require('../src/url-rules');
+
+const matches = (pattern, url) => compilePattern(pattern).test(new URL(url));
+
+describe('compilePattern', () => {
+  test('globs match the path and query', () => {
+    expect(matches('/docs/*', 'https://example.com/docs/setup')).toBe(true);
+    expect(matches('/docs/*', 'https://example.com/docs/setup/linux')).toBe(false);
+    expect(matches('/docs/**', 'https://example.com/docs/setup/linux')).toBe(true);
+    expect(matches('**/print/*', 'https://example.com/a/b/print/page')).toBe(true);
+    expect(matches('/search?q=*', 'https://example.com/search?q=term')).toBe(true);
+  });
+
+  test('a trailing /** also matches the directory itself', () => {
+    expect(matches('/docs/**', 'https://example.com/docs')).toBe(true);
+    expect(matches('/docs/**', 'https://example.com/docsearch')).toBe(false);
+  });
+
+  test('globs are case-insensitive and escape regex characters', () => {
+    expect(matches('/FAQ', 'https://example.com/faq')).toBe(true);
+    expect(matches('/a+b.html', 'https://example.com/a+b.html')).toBe(true);
+    expect(matches('/a+b.html', 'https://example.com/aab.html')).toBe(false);
+  });
+
+  test('globs containing :// match the whole URL', () => {
+    expect(matches('https://docs.example.com/**', 'https://docs.example.com/intro')).toBe(true);
+    expect(matches('https://docs.example.com/**', 'https://example.com/intro')).toBe(false);
+  });
+
+  test('re: patterns are regexes tested against the whole URL', () => {
+    expect(matches('re:/v\\d+/', 'https://example.com/api/v2/users')).toBe(true);
+    expect(matches('re:/v\\d+/', 'https://example.com/api/latest/users')).toBe(false);
+    expect(matches('re:^https://example\\.com/BLOG', 'https://example.com/blog/1')).toBe(true);
+  });
+
+  test('slash-delimited patterns are globs, not regexes', () => {
+    expect(matches('/docs/', 'https://example.com/docs/')).toBe(true);
+    expect(matches('/docs/', 'https://example.com/en/docs/intro')).toBe(false);
+  });
+
+  test('throws on an invalid regex', () => {
+    expect(() => compilePattern('re:(unclosed')).toThrow();
+  });
+});
+
+describe('UrlRules', () => {
+  test('host scope ignores www and rejects other hosts and schemes', () => {
+    const rules = new UrlRules({}, 'https://www.example.com/');
+    expect(rules.check('https://example.com/about')).toBeNull();
+    expect(rules.check('https://blog.example.com/')).toBe('scope');
+    expect(rules.check('mailto:hi@example.com')).toBe('scope');
+    expect(rules.check('not a url')).toBe('scope');
+  });
+
+  test('subdomains scope allows subdomains of the start host', () => {
+    const rules = new UrlRules({ scope: 'subdomains' }, 'https://example.com/');
+    expect(rules.allows('https://blog.example.com/post')).toBe(true);
+    expect(rules.allows('https://notexample.com/')).toBe(false);
+  });
+
+  test('path scope defaults to the directory of the start URL', () => {
+    const rules = new UrlRules({ scope: 'path' }, 'https://example.com/docs/index.html');
+    expect(rules.allows('https://example.com/docs')).toBe(true);
+    expect(rules.allows('https://example.com/docs/setup')).toBe(true);
+    expect(rules.allows('https://example.com/docsearch')).toBe(false);
+    expect(rules.allows('https://example.com/blog')).toBe(false);
+  });
+
+  test('exclusions win over inclusions', () => {
+    const rules = new UrlRules({
+      includePatterns: ['/docs/**'],
+      excludePatterns: ['/docs/internal/**']
+    }, 'https://example.com/');
+    expect(rules.check('https://example.com/docs/setup')).toBeNull();
+    expect(rules.check('https://example.com/docs/internal/keys')).toBe('exclude');
+    expect(rules.check('https://example.com/blog')).toBe('include');
+  });
+
+  test('default exclusions can be turned off', () => {
+    expect(new UrlRules({}, 'https://example.com/').check('https://example.com/login')).toBe('exclude');
+    expect(new UrlRules({ useDefaultExcludes: false }, 'https://example.com/').check('https://example.com/login')).toBeNull();
+  });
+});
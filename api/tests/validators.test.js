@@ -0,0 +1,53 @@
+const { validateScanRequest, validateExtractRequest, validateProfile } = require('../src/validators');
+const { registerExtractor, unregisterExtractor } = require('../src/extractors');
+
+describe('validateScanRequest', () => {
+  test('accepts the page types the bundled frontend sends', () => {
+    const { error, value } = validateScanRequest({
+      url: 'https://example.com',
+      options: { pageTypes: ['FAQ', 'Documentation', 'Support', 'About', 'Product', 'Blog'] }
+    });
+    expect(error).toBeUndefined();
+    expect(value.options.pageTypes).toContain('About');
+  });
+
+  test('accepts the short API and Blog names and the classifier labels', () => {
+    const pageTypes = ['API', 'Blog', 'API Documentation', 'Blog/Article', 'Contact'];
+    expect(validateScanRequest({ url: 'https://example.com', options: { pageTypes } }).error).toBeUndefined();
+  });
+
+  test('rejects unknown page types', () => {
+    const { error } = validateScanRequest({ url: 'https://example.com', options: { pageTypes: ['Recipes'] } });
+    expect(error.details[0].path).toEqual(['options', 'pageTypes', 0]);
+  });
+});
+
+describe('validateProfile', () => {
+  test('only assigns the classifier labels, not the short names', () => {
+    const profile = pageType => ({ hostPattern: 'example.com', pageTypes: [{ pattern: '/blog/*', pageType }] });
+    expect(validateProfile(profile('About')).error).toBeUndefined();
+    expect(validateProfile(profile('Blog')).error).toBeDefined();
+  });
+});
+
+describe('validateExtractRequest', () => {
+  afterEach(() => unregisterExtractor('prices'));
+
+  test('fills in the defaults', () => {
+    const { error, value } = validateExtractRequest({ url: 'https://example.com/faq' });
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ url: 'https://example.com/faq', extractors: ['qa', 'content', 'metadata'], render: 'static', synthesizeQA: false });
+  });
+
+  test('accepts registered custom extractors and rejects unknown ones', () => {
+    registerExtractor({ name: 'prices', extract: () => [] });
+    expect(validateExtractRequest({ url: 'https://example.com', extractors: ['qa', 'prices'] }).error).toBeUndefined();
+    expect(validateExtractRequest({ url: 'https://example.com', extractors: ['qa', 'pricing'] }).error.message)
+      .toContain('"pricing" is not a known extractor');
+  });
+
+  test('rejects bad render and synthesizeQA values', () => {
+    expect(validateExtractRequest({ url: 'https://example.com', render: 'bogus' }).error).toBeDefined();
+    expect(validateExtractRequest({ url: 'https://example.com', synthesizeQA: 'maybe' }).error).toBeDefined();
+  });
+});
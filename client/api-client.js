@@ -67,6 +67,193 @@ class RAGCollectorClient {
     return response.json();
   }
   
+  /**
+   * Stream live scan events (status, progress, page) until the scan stops
+   * @param {string} scanId - The scan ID
+   * @returns {AsyncGenerator<{event: string, data: object}>} Scan events
+   */
+  async *streamEvents(scanId) {
+    const response = await fetch(`${this.baseUrl}/api/scan/${scanId}/events`, {
+      headers: { ...this.headers, 'Accept': 'text/event-stream' }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          
+          let event = 'message';
+          const dataLines = [];
+          for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+          }
+          
+          // Lines starting with ":" are heartbeats and carry no data
+          if (dataLines.length === 0) continue;
+          if (event === 'end') return;
+          
+          yield { event, data: JSON.parse(dataLines.join('\n')) };
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+  
+  /**
+   * Cancel a queued, running or paused scan
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<object>} Updated scan status
+   */
+  async cancelScan(scanId) {
+    return this.controlScan(scanId, 'cancel');
+  }
+  
+  /**
+   * Pause a running scan
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<object>} Updated scan status
+   */
+  async pauseScan(scanId) {
+    return this.controlScan(scanId, 'pause');
+  }
+  
+  /**
+   * Resume a paused scan from its last checkpoint
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<object>} Updated scan status
+   */
+  async resumeScan(scanId) {
+    return this.controlScan(scanId, 'resume');
+  }
+  
+  async controlScan(scanId, action) {
+    const response = await fetch(`${this.baseUrl}/api/scan/${scanId}/${action}`, {
+      method: 'POST',
+      headers: this.headers
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Get the webhook delivery log of a scan
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<object>} Webhook URL and delivery attempts
+   */
+  async getWebhookDeliveries(scanId) {
+    const response = await fetch(`${this.baseUrl}/api/scan/${scanId}/webhooks`, {
+      headers: this.headers
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Compare two completed scans of a site
+   * @param {string} scanId - The earlier scan
+   * @param {string} otherScanId - The later scan
+   * @returns {Promise<object>} Added, removed and changed pages with quality score deltas
+   */
+  async diffScans(scanId, otherScanId) {
+    const response = await fetch(`${this.baseUrl}/api/scan/${scanId}/diff/${otherScanId}`, {
+      headers: this.headers
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Search the chunks and Q&A pairs of a completed scan
+   * @param {string} scanId - The scan ID
+   * @param {string} query - Search terms
+   * @param {object} searchOptions - limit (1-50) and type ('chunk' or 'qa')
+   * @returns {Promise<object>} Ranked results with URL, heading path, score and snippet
+   */
+  async search(scanId, query, searchOptions = {}) {
+    const params = new URLSearchParams({ q: query });
+    if (searchOptions.limit) params.set('limit', searchOptions.limit);
+    if (searchOptions.type) params.set('type', searchOptions.type);
+    
+    const response = await fetch(`${this.baseUrl}/api/scan/${scanId}/search?${params}`, {
+      headers: this.headers
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Measure how well a completed scan answers a set of expected questions
+   * @param {string} scanId - The scan ID
+   * @param {array} questions - Questions as strings or { question, expectedUrl }
+   * @param {object} evaluationOptions - k and minCoverage
+   * @returns {Promise<object>} Hit rate, MRR and unsupported questions
+   */
+  async evaluate(scanId, questions, evaluationOptions = {}) {
+    const response = await fetch(`${this.baseUrl}/api/scan/${scanId}/evaluate`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({ questions, ...evaluationOptions })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Delete a scan and its results
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<object>} Deletion response
+   */
+  async deleteScan(scanId) {
+    const response = await fetch(`${this.baseUrl}/api/scan/${scanId}`, {
+      method: 'DELETE',
+      headers: this.headers
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
   /**
    * Wait for scan completion
    * @param {string} scanId - The scan ID
@@ -85,6 +272,10 @@ class RAGCollectorClient {
         throw new Error('Scan failed: ' + (status.error || 'Unknown error'));
       }
       
+      if (status.status === 'cancelled') {
+        throw new Error('Scan cancelled');
+      }
+      
       console.log(`Scan progress: ${status.progress}% - ${status.message}`);
       
       await new Promise(resolve => setTimeout(resolve, pollInterval));
@@ -107,13 +298,14 @@ class RAGCollectorClient {
    * Extract content from a single URL
    * @param {string} url - The URL to extract from
    * @param {array} extractors - Extractors to use
+   * @param {object} extractOptions - Optional render and synthesizeQA
    * @returns {Promise<object>} Extracted content
    */
-  async extract(url, extractors = ['qa', 'content', 'metadata']) {
+  async extract(url, extractors = ['qa', 'content', 'metadata'], extractOptions = {}) {
     const response = await fetch(`${this.baseUrl}/api/extract`, {
       method: 'POST',
       headers: this.headers,
-      body: JSON.stringify({ url, extractors })
+      body: JSON.stringify({ url, extractors, ...extractOptions })
     });
     
     if (!response.ok) {
@@ -127,13 +319,14 @@ class RAGCollectorClient {
    * Export scan results
    * @param {string} scanId - The scan ID
    * @param {string} format - Export format (rag, markdown, vectordb, csv, xml, json)
+   * @param {object} exportOptions - Optional chunkStrategy, chunkSize, chunkOverlap, textFormat and changeStatus
    * @returns {Promise<string|object>} Exported data
    */
-  async export(scanId, format = 'rag') {
+  async export(scanId, format = 'rag', exportOptions = {}) {
     const response = await fetch(`${this.baseUrl}/api/export`, {
       method: 'POST',
       headers: this.headers,
-      body: JSON.stringify({ scanId, format })
+      body: JSON.stringify({ scanId, format, ...exportOptions })
     });
     
     if (!response.ok) {
@@ -212,6 +405,158 @@ class RAGCollectorClient {
     }
   }
   
+  /**
+   * Create a recurring scan schedule
+   * @param {object} schedule - url, cron, and optionally name, options, incremental, enabled, webhookUrl, webhookSecret
+   * @returns {Promise<object>} The created schedule
+   */
+  async createSchedule(schedule) {
+    return this.scheduleRequest('', 'POST', schedule);
+  }
+  
+  /**
+   * List scan schedules
+   * @returns {Promise<object>} Schedules
+   */
+  async listSchedules() {
+    return this.scheduleRequest('', 'GET');
+  }
+  
+  /**
+   * Get a schedule with the status of its recent runs
+   * @param {string} scheduleId - The schedule ID
+   * @returns {Promise<object>} Schedule
+   */
+  async getSchedule(scheduleId) {
+    return this.scheduleRequest(`/${scheduleId}`, 'GET');
+  }
+  
+  /**
+   * Update a schedule
+   * @param {string} scheduleId - The schedule ID
+   * @param {object} changes - Fields to change
+   * @returns {Promise<object>} The updated schedule
+   */
+  async updateSchedule(scheduleId, changes) {
+    return this.scheduleRequest(`/${scheduleId}`, 'PATCH', changes);
+  }
+  
+  /**
+   * Start a run of a schedule now
+   * @param {string} scheduleId - The schedule ID
+   * @returns {Promise<object>} The started run
+   */
+  async runSchedule(scheduleId) {
+    return this.scheduleRequest(`/${scheduleId}/run`, 'POST');
+  }
+  
+  /**
+   * Delete a schedule; scans it already started are kept
+   * @param {string} scheduleId - The schedule ID
+   * @returns {Promise<object>} Deletion response
+   */
+  async deleteSchedule(scheduleId) {
+    return this.scheduleRequest(`/${scheduleId}`, 'DELETE');
+  }
+  
+  async scheduleRequest(path, method, body) {
+    const response = await fetch(`${this.baseUrl}/api/schedules${path}`, {
+      method,
+      headers: this.headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Create a per-site extraction profile
+   * @param {object} profile - hostPattern, and optionally name, contentSelector, removeSelectors, qa, pageTypes, enabled
+   * @returns {Promise<object>} The created profile
+   */
+  async createProfile(profile) {
+    return this.profileRequest('', 'POST', profile);
+  }
+  
+  /**
+   * List extraction profiles
+   * @returns {Promise<object>} Profiles
+   */
+  async listProfiles() {
+    return this.profileRequest('', 'GET');
+  }
+  
+  /**
+   * Get an extraction profile
+   * @param {string} profileId - The profile ID
+   * @returns {Promise<object>} Profile
+   */
+  async getProfile(profileId) {
+    return this.profileRequest(`/${profileId}`, 'GET');
+  }
+  
+  /**
+   * Update an extraction profile
+   * @param {string} profileId - The profile ID
+   * @param {object} changes - Fields to change
+   * @returns {Promise<object>} The updated profile
+   */
+  async updateProfile(profileId, changes) {
+    return this.profileRequest(`/${profileId}`, 'PATCH', changes);
+  }
+  
+  /**
+   * Delete an extraction profile
+   * @param {string} profileId - The profile ID
+   * @returns {Promise<object>} Deletion response
+   */
+  async deleteProfile(profileId) {
+    return this.profileRequest(`/${profileId}`, 'DELETE');
+  }
+  
+  /**
+   * Find the profile a scan would apply to a URL
+   * @param {string} url - Page URL
+   * @returns {Promise<object>} The matching profile (or null) and the page type it sets
+   */
+  async matchProfile(url) {
+    return this.profileRequest(`/match?url=${encodeURIComponent(url)}`, 'GET');
+  }
+  
+  async profileRequest(path, method, body) {
+    const response = await fetch(`${this.baseUrl}/api/profiles${path}`, {
+      method,
+      headers: this.headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * List the built-in and custom extractors
+   * @returns {Promise<object>} Extractor names, and the output key of each custom extractor
+   */
+  async listExtractors() {
+    const response = await fetch(`${this.baseUrl}/api/extractors`, {
+      headers: this.headers
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
   /**
    * Health check
    * @returns {Promise<object>} Health status